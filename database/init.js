@@ -21,7 +21,14 @@ class Database {
                     reject(err);
                 } else {
                     console.log('Conectado ao banco SQLite');
-                    this.createTables().then(resolve).catch(reject);
+                    this.createTables()
+                        .then(() => this.migrate())
+                        .then(() => this.createSearchIndex())
+                        .then(() => this.seedRoutingRules())
+                        .then(() => this.seedSystemPrompts())
+                        .then(() => this.seedFinancialKnowledge())
+                        .then(resolve)
+                        .catch(reject);
                 }
             });
         });
@@ -113,6 +120,211 @@ class Database {
                 FOREIGN KEY (user_id) REFERENCES users (id)
             )`,
 
+            // Chamadas de ferramentas feitas pela IA (auditoria dos dados usados na resposta)
+            `CREATE TABLE IF NOT EXISTS message_tool_calls (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                message_id INTEGER NOT NULL,
+                tool_name TEXT NOT NULL,
+                arguments TEXT,
+                result TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (message_id) REFERENCES messages (id)
+            )`,
+
+            // Entradas da base de conhecimento enviadas no contexto de cada resposta
+            // (position = número [n] usado na citação; cited = a resposta citou a entrada;
+            // title/source preservam a entrada depois de excluída da base)
+            `CREATE TABLE IF NOT EXISTS message_knowledge (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                message_id INTEGER NOT NULL,
+                knowledge_id INTEGER NOT NULL,
+                position INTEGER NOT NULL,
+                cited BOOLEAN DEFAULT 0,
+                title TEXT,
+                source TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (message_id) REFERENCES messages (id),
+                FOREIGN KEY (knowledge_id) REFERENCES financial_knowledge (id)
+            )`,
+
+            // Regras de roteamento de provedor (avaliadas por prioridade crescente)
+            `CREATE TABLE IF NOT EXISTS routing_rules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                priority INTEGER NOT NULL DEFAULT 100,
+                mode TEXT,
+                plan TEXT,
+                keywords TEXT,
+                pattern TEXT,
+                min_length INTEGER,
+                max_length INTEGER,
+                symbols TEXT,
+                provider TEXT NOT NULL,
+                ab_provider TEXT,
+                ab_percentage INTEGER DEFAULT 0,
+                enabled BOOLEAN DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            // Versões dos prompts de sistema por modo (plan NULL = todos os planos)
+            `CREATE TABLE IF NOT EXISTS system_prompts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                mode TEXT NOT NULL,
+                plan TEXT,
+                version INTEGER NOT NULL,
+                content TEXT NOT NULL,
+                author TEXT,
+                notes TEXT,
+                is_active BOOLEAN DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                activated_at DATETIME
+            )`,
+
+            // Setups estruturados do modo daytrade (outcome preenchido na avaliação posterior)
+            `CREATE TABLE IF NOT EXISTS trade_setups (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                message_id INTEGER NOT NULL,
+                user_id INTEGER,
+                conversation_id INTEGER,
+                symbol TEXT NOT NULL,
+                side TEXT NOT NULL CHECK (side IN ('compra', 'venda')),
+                entry REAL NOT NULL,
+                stop REAL NOT NULL,
+                targets TEXT NOT NULL,
+                risk_points REAL NOT NULL,
+                risk_brl REAL NOT NULL,
+                timeframe TEXT NOT NULL,
+                invalidation TEXT NOT NULL,
+                attempts INTEGER DEFAULT 1,
+                outcome TEXT,
+                evaluated_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (message_id) REFERENCES messages (id)
+            )`,
+
+            // Auditoria das intervenções de conformidade nas respostas da IA
+            `CREATE TABLE IF NOT EXISTS compliance_logs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                message_id INTEGER,
+                user_id INTEGER,
+                conversation_id INTEGER,
+                provider TEXT,
+                mode TEXT,
+                plan TEXT,
+                rules TEXT NOT NULL,
+                action TEXT NOT NULL CHECK (action IN ('append', 'rewrite', 'block')),
+                original_content TEXT NOT NULL,
+                final_content TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            // Biblioteca de estratégias (robôs) do usuário
+            `CREATE TABLE IF NOT EXISTS robot_strategies (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                description TEXT,
+                language TEXT NOT NULL DEFAULT 'ntfl',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id)
+            )`,
+
+            // Versões do código de cada estratégia (inputs em JSON: [{ name, default, description }])
+            `CREATE TABLE IF NOT EXISTS robot_strategy_versions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                strategy_id INTEGER NOT NULL,
+                version INTEGER NOT NULL,
+                code TEXT NOT NULL,
+                inputs TEXT,
+                notes TEXT,
+                source_message_id INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (strategy_id, version),
+                FOREIGN KEY (strategy_id) REFERENCES robot_strategies (id)
+            )`,
+
+            // Documentos enviados pelos usuários (só o texto extraído é guardado, em trechos)
+            `CREATE TABLE IF NOT EXISTS user_documents (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                filename TEXT NOT NULL,
+                type TEXT NOT NULL CHECK (type IN ('pdf', 'csv', 'text')),
+                size_bytes INTEGER NOT NULL,
+                chars INTEGER DEFAULT 0,
+                chunk_count INTEGER DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id)
+            )`,
+
+            `CREATE TABLE IF NOT EXISTS document_chunks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                document_id INTEGER NOT NULL,
+                position INTEGER NOT NULL,
+                content TEXT NOT NULL,
+                FOREIGN KEY (document_id) REFERENCES user_documents (id)
+            )`,
+
+            // Documentos anexados a cada conversa (usados como contexto da IA)
+            `CREATE TABLE IF NOT EXISTS conversation_documents (
+                conversation_id INTEGER NOT NULL,
+                document_id INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (conversation_id, document_id),
+                FOREIGN KEY (conversation_id) REFERENCES conversations (id),
+                FOREIGN KEY (document_id) REFERENCES user_documents (id)
+            )`,
+
+            // Vetores para busca semântica (base de conhecimento e mensagens dos usuários)
+            `CREATE TABLE IF NOT EXISTS embeddings (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                source_type TEXT NOT NULL CHECK (source_type IN ('knowledge', 'message')),
+                source_id INTEGER NOT NULL,
+                user_id INTEGER,
+                model TEXT NOT NULL,
+                vector BLOB NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (source_type, source_id)
+            )`,
+
+            // Pastas criadas pelo usuário para organizar as conversas (conversations.folder_id)
+            `CREATE TABLE IF NOT EXISTS conversation_folders (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (user_id, name),
+                FOREIGN KEY (user_id) REFERENCES users (id)
+            )`,
+
+            // Etiquetas livres das conversas (minúsculas)
+            `CREATE TABLE IF NOT EXISTS conversation_tags (
+                conversation_id INTEGER NOT NULL,
+                tag TEXT NOT NULL,
+                PRIMARY KEY (conversation_id, tag),
+                FOREIGN KEY (conversation_id) REFERENCES conversations (id)
+            )`,
+
+            // Avaliação das respostas pelo usuário (uma por mensagem). Provedor, modelo, modo e
+            // versão do prompt são copiados da resposta para os relatórios de qualidade
+            `CREATE TABLE IF NOT EXISTS message_feedback (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                message_id INTEGER NOT NULL UNIQUE,
+                user_id INTEGER NOT NULL,
+                conversation_id INTEGER NOT NULL,
+                rating INTEGER NOT NULL CHECK (rating IN (1, -1)),
+                reasons TEXT NOT NULL DEFAULT '[]',
+                comment TEXT,
+                provider TEXT,
+                model TEXT,
+                mode TEXT,
+                prompt_version_id INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (message_id) REFERENCES messages (id)
+            )`,
+
             // Tabela de configurações do usuário
             `CREATE TABLE IF NOT EXISTS user_settings (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -131,6 +343,74 @@ class Database {
         return Promise.all(tables.map(sql => this.run(sql)));
     }
 
+    // Colunas adicionadas depois da criação inicial das tabelas.
+    // SQLite não tem "ADD COLUMN IF NOT EXISTS", então verificamos via PRAGMA.
+    async migrate() {
+        const columns = [
+            ['messages', 'provider_used', 'TEXT'],
+            ['messages', 'failover', 'BOOLEAN DEFAULT 0'],
+            ['messages', 'input_tokens', 'INTEGER DEFAULT 0'],
+            ['messages', 'output_tokens', 'INTEGER DEFAULT 0'],
+            ['messages', 'cost', 'REAL DEFAULT 0'],
+            ['messages', 'credits_charged', 'INTEGER DEFAULT 0'],
+            ['messages', 'routing_rule_id', 'INTEGER'],
+            ['messages', 'routing_variant', 'TEXT'],
+            ['messages', 'prompt_version_id', 'INTEGER'],
+            ['messages', 'market_snapshot', 'TEXT'],
+            ['messages', 'mode', 'TEXT'],
+            ['robot_strategies', 'source_strategy_id', 'INTEGER'],
+            ['conversations', 'summary', 'TEXT'],
+            ['conversations', 'summary_message_id', 'INTEGER'],
+            ['conversations', 'summary_updated_at', 'DATETIME'],
+            ['user_settings', 'facts', "TEXT DEFAULT '{}'"],
+            ['trade_setups', 'max_contracts', 'INTEGER'],
+            ['trade_setups', 'max_risk_brl', 'REAL'],
+            ['messages', 'parent_id', 'INTEGER'],
+            ['conversations', 'active_message_id', 'INTEGER'],
+            ['conversations', 'pinned', 'BOOLEAN DEFAULT 0'],
+            ['conversations', 'archived_at', 'DATETIME'],
+            ['conversations', 'folder_id', 'INTEGER'],
+            ['message_knowledge', 'title', 'TEXT'],
+            ['message_knowledge', 'source', 'TEXT']
+        ];
+
+        const added = [];
+        for (const [table, column, definition] of columns) {
+            if (await this.addColumnIfMissing(table, column, definition)) {
+                added.push(`${table}.${column}`);
+            }
+        }
+
+        // Conversas anteriores à árvore de mensagens eram lineares: cada mensagem é filha
+        // da anterior e a última é a ponta do ramo ativo
+        if (added.includes('messages.parent_id')) {
+            await this.run(
+                `UPDATE messages SET parent_id = (
+                    SELECT MAX(p.id) FROM messages p
+                    WHERE p.conversation_id = messages.conversation_id AND p.id < messages.id
+                 )`
+            );
+        }
+        if (added.includes('conversations.active_message_id')) {
+            await this.run(
+                `UPDATE conversations SET active_message_id = (
+                    SELECT MAX(m.id) FROM messages m WHERE m.conversation_id = conversations.id
+                 )`
+            );
+        }
+    }
+
+    // Retorna true se a coluna foi criada agora
+    async addColumnIfMissing(table, column, definition) {
+        const existing = await this.all(`PRAGMA table_info(${table})`);
+        if (existing.some(col => col.name === column)) {
+            return false;
+        }
+
+        await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        return true;
+    }
+
     run(sql, params = []) {
         return new Promise((resolve, reject) => {
             this.db.run(sql, params, function(err) {
@@ -179,8 +459,188 @@ class Database {
         });
     }
 
-    // Inserir dados iniciais de conhecimento financeiro
+    // Índices FTS5 da base de conhecimento, dos documentos e das conversas dos usuários (busca sem acentos,
+    // ranking BM25). Tabelas de conteúdo externo: os triggers mantêm os índices em sincronia
+    async createSearchIndex() {
+        const statements = [
+            `CREATE VIRTUAL TABLE IF NOT EXISTS financial_knowledge_fts USING fts5(
+                title, content, tags,
+                content='financial_knowledge',
+                content_rowid='id',
+                tokenize='unicode61 remove_diacritics 2'
+            )`,
+
+            `CREATE TRIGGER IF NOT EXISTS financial_knowledge_ai AFTER INSERT ON financial_knowledge BEGIN
+                INSERT INTO financial_knowledge_fts (rowid, title, content, tags)
+                VALUES (new.id, new.title, new.content, new.tags);
+            END`,
+
+            `CREATE TRIGGER IF NOT EXISTS financial_knowledge_ad AFTER DELETE ON financial_knowledge BEGIN
+                INSERT INTO financial_knowledge_fts (financial_knowledge_fts, rowid, title, content, tags)
+                VALUES ('delete', old.id, old.title, old.content, old.tags);
+            END`,
+
+            `CREATE TRIGGER IF NOT EXISTS financial_knowledge_au AFTER UPDATE ON financial_knowledge BEGIN
+                INSERT INTO financial_knowledge_fts (financial_knowledge_fts, rowid, title, content, tags)
+                VALUES ('delete', old.id, old.title, old.content, old.tags);
+                INSERT INTO financial_knowledge_fts (rowid, title, content, tags)
+                VALUES (new.id, new.title, new.content, new.tags);
+            END`,
+
+            `CREATE VIRTUAL TABLE IF NOT EXISTS document_chunks_fts USING fts5(
+                content,
+                content='document_chunks',
+                content_rowid='id',
+                tokenize='unicode61 remove_diacritics 2'
+            )`,
+
+            `CREATE TRIGGER IF NOT EXISTS document_chunks_ai AFTER INSERT ON document_chunks BEGIN
+                INSERT INTO document_chunks_fts (rowid, content) VALUES (new.id, new.content);
+            END`,
+
+            `CREATE TRIGGER IF NOT EXISTS document_chunks_ad AFTER DELETE ON document_chunks BEGIN
+                INSERT INTO document_chunks_fts (document_chunks_fts, rowid, content)
+                VALUES ('delete', old.id, old.content);
+            END`,
+
+            // Mensagens das conversas, para a memória entre conversas do usuário
+            `CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+                content,
+                content='messages',
+                content_rowid='id',
+                tokenize='unicode61 remove_diacritics 2'
+            )`,
+
+            `CREATE TRIGGER IF NOT EXISTS messages_ai AFTER INSERT ON messages BEGIN
+                INSERT INTO messages_fts (rowid, content) VALUES (new.id, new.content);
+            END`,
+
+            `CREATE TRIGGER IF NOT EXISTS messages_ad AFTER DELETE ON messages BEGIN
+                INSERT INTO messages_fts (messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+            END`,
+
+            `CREATE TRIGGER IF NOT EXISTS messages_au AFTER UPDATE OF content ON messages BEGIN
+                INSERT INTO messages_fts (messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+                INSERT INTO messages_fts (rowid, content) VALUES (new.id, new.content);
+            END`,
+
+            // Títulos das conversas, para a busca no histórico do usuário
+            `CREATE VIRTUAL TABLE IF NOT EXISTS conversations_fts USING fts5(
+                title,
+                content='conversations',
+                content_rowid='id',
+                tokenize='unicode61 remove_diacritics 2'
+            )`,
+
+            `CREATE TRIGGER IF NOT EXISTS conversations_ai AFTER INSERT ON conversations BEGIN
+                INSERT INTO conversations_fts (rowid, title) VALUES (new.id, new.title);
+            END`,
+
+            `CREATE TRIGGER IF NOT EXISTS conversations_ad AFTER DELETE ON conversations BEGIN
+                INSERT INTO conversations_fts (conversations_fts, rowid, title) VALUES ('delete', old.id, old.title);
+            END`,
+
+            `CREATE TRIGGER IF NOT EXISTS conversations_au AFTER UPDATE OF title ON conversations BEGIN
+                INSERT INTO conversations_fts (conversations_fts, rowid, title) VALUES ('delete', old.id, old.title);
+                INSERT INTO conversations_fts (rowid, title) VALUES (new.id, new.title);
+            END`
+        ];
+
+        for (const sql of statements) {
+            await this.run(sql);
+        }
+
+        // Bancos criados antes do índice (ou alterados sem os triggers) são reindexados
+        for (const table of ['financial_knowledge', 'messages', 'conversations']) {
+            const indexed = await this.get(`SELECT COUNT(*) as total FROM ${table}_fts_docsize`);
+            const stored = await this.get(`SELECT COUNT(*) as total FROM ${table}`);
+            if (indexed.total !== stored.total) {
+                await this.run(`INSERT INTO ${table}_fts (${table}_fts) VALUES ('rebuild')`);
+            }
+        }
+    }
+
+    // Regras padrão equivalentes ao roteamento fixo original; só entram com a tabela vazia
+    async seedRoutingRules() {
+        const count = await this.get('SELECT COUNT(*) as total FROM routing_rules');
+        if (count.total > 0) {
+            return;
+        }
+
+        const rules = [
+            { name: 'Robôs e código', priority: 10, mode: 'robot', provider: 'openai' },
+            { name: 'Pedidos de código NTFL', priority: 20, keywords: 'código,ntfl', provider: 'openai' },
+            { name: 'Day trade', priority: 30, mode: 'daytrade', provider: 'claude' },
+            { name: 'Análise técnica', priority: 40, keywords: 'análise técnica', provider: 'claude' },
+            { name: 'Previsões e tendências', priority: 50, keywords: 'previsão,tendência', provider: 'deepseek' },
+            { name: 'Padrão', priority: 1000, provider: 'openai' }
+        ];
+
+        for (const rule of rules) {
+            await this.run(
+                `INSERT INTO routing_rules (name, priority, mode, keywords, provider)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [rule.name, rule.priority, rule.mode || null, rule.keywords || null, rule.provider]
+            );
+        }
+    }
+
+    // Versão 1 de cada persona (textos que ficavam fixos no AIService)
+    async seedSystemPrompts() {
+        const prompts = {
+            consulta: `Você é um analista financeiro especializado no mercado brasileiro. 
+            Forneça análises técnicas e fundamentalistas precisas, sempre baseadas em dados reais quando possível.
+            Use termos técnicos adequados e seja específico em suas recomendações.
+            Sempre inclua disclaimers sobre riscos de investimento.`,
+
+            daytrade: `Você é um especialista em day trade focado nos futuros da B3 (WINFUT, INDFUT, DOLFUT, WDOFUT, BITFUT).
+            Forneça análises técnicas específicas com pontos de entrada, stop loss e alvos.
+            Considere volume, padrões de candlestick e indicadores técnicos.
+            Seja preciso com níveis de preço e sempre mencione o gerenciamento de risco.`,
+
+            portfolio: `Você é um consultor de investimentos especializado em otimização de portfólios.
+            Analise diversificação, correlações entre ativos e perfil de risco.
+            Forneça recomendações de alocação baseadas em teoria moderna de portfólio.
+            Considere o cenário macroeconômico brasileiro e global.`,
+
+            robot: `Você é um programador especializado em desenvolvimento de robôs de trading para a plataforma Nelogica.
+            Use a linguagem NTFL (Nelogica Trading Formula Language).
+            Forneça código limpo, comentado e testável.
+            Inclua explicações sobre a lógica da estratégia e parâmetros de configuração.`,
+
+            robot_mql5: `Você é um programador especializado em Expert Advisors para MetaTrader 5.
+            Use a linguagem MQL5 e a biblioteca padrão (Trade/Trade.mqh, classe CTrade) para enviar ordens.
+            Todo EA deve ter OnInit, OnTick e OnDeinit, com os parâmetros configuráveis declarados como input.
+            Forneça código limpo, comentado e compilável, em blocos de código marcados como mql5.
+            Inclua explicações sobre a lógica da estratégia e parâmetros de configuração.`,
+
+            summary: `Você resume conversas entre um trader e um assistente de mercado financeiro.
+            Atualize o resumo existente com as novas mensagens, sem perder informações do resumo anterior.
+            Preserve sempre: capital, limites de risco (stop diário, risco por operação), ativos, setups e estratégias discutidos, decisões tomadas e preferências do usuário.
+            Escreva em tópicos curtos, no máximo 200 palavras, e responda apenas com o resumo.`
+        };
+
+        for (const [mode, content] of Object.entries(prompts)) {
+            const exists = await this.get('SELECT id FROM system_prompts WHERE mode = ?', [mode]);
+
+            if (!exists) {
+                await this.run(
+                    `INSERT INTO system_prompts (mode, plan, version, content, author, is_active, activated_at)
+                     VALUES (?, NULL, 1, ?, 'sistema', 1, CURRENT_TIMESTAMP)`,
+                    [mode, content]
+                );
+            }
+        }
+    }
+
+    // Inserir dados iniciais de conhecimento financeiro.
+    // Só com a base vazia: depois disso as entradas são mantidas pela API de administração
     async seedFinancialKnowledge() {
+        const { total } = await this.get('SELECT COUNT(*) as total FROM financial_knowledge');
+        if (total > 0) {
+            return;
+        }
+
         const knowledgeData = [
             {
                 category: 'Futuros',
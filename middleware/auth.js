@@ -82,6 +82,24 @@ const checkPlan = (requiredPlan) => {
     };
 };
 
+// Middleware para rotas administrativas (e-mails listados em ADMIN_EMAILS)
+const checkAdmin = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Usuário não autenticado' });
+    }
+
+    const adminEmails = (process.env.ADMIN_EMAILS || '')
+        .split(',')
+        .map(email => email.trim().toLowerCase())
+        .filter(Boolean);
+
+    if (!adminEmails.includes(req.user.email.toLowerCase())) {
+        return res.status(403).json({ error: 'Acesso restrito a administradores' });
+    }
+
+    next();
+};
+
 // Middleware opcional - não requer autenticação, mas carrega o usuário se existir
 const optionalAuth = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
@@ -111,5 +129,6 @@ module.exports = {
     authenticateToken,
     checkCredits,
     checkPlan,
+    checkAdmin,
     optionalAuth
 };
\ No newline at end of file
@@ -0,0 +1,782 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const database = require('../database/init');
+const { authenticateToken, checkAdmin } = require('../middleware/auth');
+const providerRegistry = require('../services/providerRegistry');
+const routingService = require('../services/routingService');
+const promptService = require('../services/promptService');
+const knowledgeService = require('../services/knowledgeService');
+const knowledgeImport = require('../services/knowledgeImport');
+const feedbackService = require('../services/feedbackService');
+
+const router = express.Router();
+
+router.use(authenticateToken, checkAdmin);
+
+const RULE_FIELDS = [
+    'name', 'priority', 'mode', 'plan', 'keywords', 'pattern', 'min_length',
+    'max_length', 'symbols', 'provider', 'ab_provider', 'ab_percentage', 'enabled'
+];
+
+const MODES = ['consulta', 'daytrade', 'portfolio', 'robot'];
+// Prompts do modo robot existem por linguagem-alvo (robot = NTFL); summary resume conversas longas
+const PROMPT_MODES = [...MODES, 'robot_mql5', 'summary'];
+const PLANS = ['free', 'basic', 'premium', 'unlimited'];
+
+const ruleValidation = (isUpdate = false) => [
+    isUpdate
+        ? body('name').optional().trim().isLength({ min: 1, max: 100 })
+        : body('name').trim().isLength({ min: 1, max: 100 }),
+    isUpdate
+        ? body('provider').optional().isString()
+        : body('provider').isString(),
+    body('priority').optional().isInt({ min: 0 }),
+    body('mode').optional({ nullable: true }).isIn(MODES),
+    body('plan').optional({ nullable: true }).isString(),
+    body('keywords').optional({ nullable: true }).isString(),
+    body('pattern').optional({ nullable: true }).isString(),
+    body('min_length').optional({ nullable: true }).isInt({ min: 0 }),
+    body('max_length').optional({ nullable: true }).isInt({ min: 0 }),
+    body('symbols').optional({ nullable: true }).isString(),
+    body('ab_provider').optional({ nullable: true }).isString(),
+    body('ab_percentage').optional().isInt({ min: 0, max: 100 }),
+    body('enabled').optional().isBoolean()
+];
+
+// Campos da regra presentes no corpo (strings vazias viram null = sem condição)
+function pickRuleFields(payload) {
+    const rule = {};
+    for (const field of RULE_FIELDS) {
+        if (payload[field] !== undefined) {
+            rule[field] = payload[field] === '' ? null : payload[field];
+        }
+    }
+    if (rule.enabled !== undefined) {
+        rule.enabled = rule.enabled ? 1 : 0;
+    }
+    return rule;
+}
+
+const knowledgeValidation = (isUpdate = false) => [
+    isUpdate
+        ? body('title').optional().trim().isLength({ min: 1, max: 200 })
+        : body('title').trim().isLength({ min: 1, max: 200 }),
+    isUpdate
+        ? body('content').optional().trim().isLength({ min: 1, max: 20000 })
+        : body('content').trim().isLength({ min: 1, max: 20000 }),
+    isUpdate
+        ? body('category').optional().trim().isLength({ min: 1, max: 100 })
+        : body('category').trim().isLength({ min: 1, max: 100 }),
+    body('subcategory').optional({ nullable: true }).trim().isLength({ max: 100 }),
+    body('tags').optional({ nullable: true }).isString(),
+    body('source').optional({ nullable: true }).isString(),
+    body('relevance_score').optional().isFloat({ gt: 0 })
+];
+
+// Campos da entrada presentes no corpo (strings vazias viram null)
+function pickKnowledgeFields(payload) {
+    const entry = {};
+    for (const field of knowledgeImport.FIELDS) {
+        if (payload[field] !== undefined) {
+            entry[field] = payload[field] === '' ? null : payload[field];
+        }
+    }
+    return entry;
+}
+
+function knownProviders() {
+    return providerRegistry.list().map(config => config.id);
+}
+
+// Listar regras de roteamento
+router.get('/routing-rules', async (req, res) => {
+    try {
+        const rules = await database.all(
+            'SELECT * FROM routing_rules ORDER BY priority ASC, id ASC'
+        );
+
+        res.json({ rules });
+
+    } catch (error) {
+        console.error('Erro ao listar regras de roteamento:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Criar regra
+router.post('/routing-rules', ruleValidation(), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
+        }
+
+        const rule = pickRuleFields(req.body);
+        const ruleErrors = routingService.validate(rule, knownProviders());
+        if (ruleErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Regra inválida',
+                details: ruleErrors
+            });
+        }
+
+        const fields = Object.keys(rule);
+        const result = await database.run(
+            `INSERT INTO routing_rules (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`,
+            fields.map(field => rule[field])
+        );
+
+        routingService.invalidate();
+
+        const created = await database.get('SELECT * FROM routing_rules WHERE id = ?', [result.id]);
+        res.status(201).json({ rule: created });
+
+    } catch (error) {
+        console.error('Erro ao criar regra de roteamento:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Atualizar regra
+router.put('/routing-rules/:id', ruleValidation(true), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
+        }
+
+        const existing = await database.get('SELECT * FROM routing_rules WHERE id = ?', [req.params.id]);
+        if (!existing) {
+            return res.status(404).json({
+                error: 'Regra não encontrada'
+            });
+        }
+
+        const rule = pickRuleFields(req.body);
+        const ruleErrors = routingService.validate({ ...existing, ...rule }, knownProviders());
+        if (ruleErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Regra inválida',
+                details: ruleErrors
+            });
+        }
+
+        const fields = Object.keys(rule);
+        if (fields.length > 0) {
+            await database.run(
+                `UPDATE routing_rules SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [...fields.map(field => rule[field]), req.params.id]
+            );
+            routingService.invalidate();
+        }
+
+        const updated = await database.get('SELECT * FROM routing_rules WHERE id = ?', [req.params.id]);
+        res.json({ rule: updated });
+
+    } catch (error) {
+        console.error('Erro ao atualizar regra de roteamento:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Remover regra
+router.delete('/routing-rules/:id', async (req, res) => {
+    try {
+        const result = await database.run('DELETE FROM routing_rules WHERE id = ?', [req.params.id]);
+        if (result.changes === 0) {
+            return res.status(404).json({
+                error: 'Regra não encontrada'
+            });
+        }
+
+        routingService.invalidate();
+
+        res.json({
+            message: 'Regra removida com sucesso'
+        });
+
+    } catch (error) {
+        console.error('Erro ao remover regra de roteamento:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Simular o roteamento de uma mensagem sem chamar a IA
+router.post('/routing-rules/test', [
+    body('message').trim().isLength({ min: 1, max: 2000 }),
+    body('mode').optional().isIn(MODES),
+    body('plan').optional().isString(),
+    body('conversationId').optional().isInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
+        }
+
+        const { message, mode = 'consulta', plan = 'free', conversationId = null } = req.body;
+        const route = await routingService.selectProvider({ message, mode, plan, seed: conversationId });
+
+        res.json({ route });
+
+    } catch (error) {
+        console.error('Erro ao simular roteamento:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Comparativo por regra/variante/provedor para avaliar os testes A/B
+router.get('/routing-rules/stats', async (req, res) => {
+    try {
+        const { days = 30 } = req.query;
+
+        const stats = await database.all(
+            `SELECT m.routing_rule_id, r.name as rule_name, m.routing_variant, m.provider_used,
+                    COUNT(*) as messages,
+                    AVG(m.tokens_used) as avg_tokens,
+                    AVG(m.cost) as avg_cost,
+                    SUM(m.cost) as total_cost,
+                    SUM(m.failover) as failovers
+             FROM messages m
+             LEFT JOIN routing_rules r ON r.id = m.routing_rule_id
+             WHERE m.role = 'assistant' AND m.created_at >= datetime('now', '-' || ? || ' days')
+             GROUP BY m.routing_rule_id, m.routing_variant, m.provider_used
+             ORDER BY m.routing_rule_id, m.routing_variant`,
+            [parseInt(days) || 30]
+        );
+
+        res.json({ stats });
+
+    } catch (error) {
+        console.error('Erro ao buscar estatísticas de roteamento:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Satisfação com as respostas (avaliações dos usuários) por modo, provedor e versão do prompt.
+// interval agrupa a linha do tempo: day, week ou month
+router.get('/feedback/report', async (req, res) => {
+    try {
+        const { days = 30, interval = 'day', mode, provider } = req.query;
+
+        if (!feedbackService.intervals.includes(interval)) {
+            return res.status(400).json({
+                error: 'Intervalo inválido',
+                intervals: feedbackService.intervals
+            });
+        }
+
+        const report = await feedbackService.report({
+            days: parseInt(days) || 30,
+            interval,
+            mode: mode || null,
+            provider: provider || null
+        });
+
+        res.json(report);
+
+    } catch (error) {
+        console.error('Erro ao gerar relatório de avaliações:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Listar versões de prompts (filtros opcionais: mode, plan; plan vazio = variante geral)
+router.get('/prompts', async (req, res) => {
+    try {
+        const { mode } = req.query;
+        const plan = req.query.plan === undefined ? undefined : (req.query.plan || null);
+
+        const prompts = await promptService.list(mode, plan);
+
+        res.json({ prompts });
+
+    } catch (error) {
+        console.error('Erro ao listar prompts:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+router.get('/prompts/:id', async (req, res) => {
+    try {
+        const prompt = await promptService.get(req.params.id);
+        if (!prompt) {
+            return res.status(404).json({
+                error: 'Prompt não encontrado'
+            });
+        }
+
+        res.json({ prompt });
+
+    } catch (error) {
+        console.error('Erro ao buscar prompt:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Criar nova versão de prompt
+router.post('/prompts', [
+    body('mode').isIn(PROMPT_MODES),
+    body('plan').optional({ nullable: true }).isIn(PLANS),
+    body('content').trim().isLength({ min: 10, max: 20000 }),
+    body('notes').optional().trim().isLength({ max: 500 }),
+    body('activate').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
+        }
+
+        const { mode, plan = null, content, notes = null, activate = false } = req.body;
+
+        const prompt = await promptService.createVersion({
+            mode,
+            plan,
+            content,
+            notes,
+            activate,
+            author: req.user.email
+        });
+
+        res.status(201).json({ prompt });
+
+    } catch (error) {
+        console.error('Erro ao criar prompt:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Ativar uma versão específica
+router.post('/prompts/:id/activate', async (req, res) => {
+    try {
+        const prompt = await promptService.activate(req.params.id);
+        if (!prompt) {
+            return res.status(404).json({
+                error: 'Prompt não encontrado'
+            });
+        }
+
+        res.json({ prompt });
+
+    } catch (error) {
+        console.error('Erro ao ativar prompt:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+router.post('/prompts/:id/deactivate', async (req, res) => {
+    try {
+        const prompt = await promptService.deactivate(req.params.id);
+        if (!prompt) {
+            return res.status(404).json({
+                error: 'Prompt não encontrado'
+            });
+        }
+
+        res.json({ prompt });
+
+    } catch (error) {
+        console.error('Erro ao desativar prompt:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Voltar para a versão anterior à ativa
+router.post('/prompts/rollback', [
+    body('mode').isIn(PROMPT_MODES),
+    body('plan').optional({ nullable: true }).isIn(PLANS)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
+        }
+
+        const prompt = await promptService.rollback(req.body.mode, req.body.plan || null);
+        if (!prompt) {
+            return res.status(409).json({
+                error: 'Não há versão anterior para restaurar'
+            });
+        }
+
+        res.json({ prompt });
+
+    } catch (error) {
+        console.error('Erro ao restaurar prompt:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Auditoria das intervenções de conformidade (filtros: action, rule, userId)
+router.get('/compliance-logs', async (req, res) => {
+    try {
+        const { action, rule, userId, limit = 50, offset = 0 } = req.query;
+
+        const conditions = [];
+        const params = [];
+
+        if (action) {
+            conditions.push('action = ?');
+            params.push(action);
+        }
+
+        if (rule) {
+            conditions.push('EXISTS (SELECT 1 FROM json_each(rules) WHERE value = ?)');
+            params.push(rule);
+        }
+
+        if (userId) {
+            conditions.push('user_id = ?');
+            params.push(userId);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const logs = await database.all(
+            `SELECT * FROM compliance_logs ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+            [...params, Math.min(parseInt(limit) || 50, 200), parseInt(offset) || 0]
+        );
+
+        const summary = await database.all(
+            `SELECT action, COUNT(*) as total FROM compliance_logs ${where} GROUP BY action`,
+            params
+        );
+
+        logs.forEach(log => {
+            log.rules = JSON.parse(log.rules);
+        });
+
+        res.json({ logs, summary });
+
+    } catch (error) {
+        console.error('Erro ao buscar auditoria de conformidade:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Base de conhecimento usada no contexto da IA
+
+router.get('/knowledge', async (req, res) => {
+    try {
+        const { category, subcategory, q, limit = 50, offset = 0 } = req.query;
+
+        const result = await knowledgeService.list({
+            category,
+            subcategory,
+            q,
+            limit: Math.min(parseInt(limit) || 50, 200),
+            offset: parseInt(offset) || 0
+        });
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('Erro ao listar conhecimento:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+router.get('/knowledge/categories', async (req, res) => {
+    try {
+        res.json({ categories: await knowledgeService.categories() });
+
+    } catch (error) {
+        console.error('Erro ao listar categorias:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Testar a recuperação: o que a IA receberia para a pergunta (busca híbrida, com os scores)
+router.get('/knowledge/search', async (req, res) => {
+    try {
+        const q = String(req.query.q || '').trim();
+        if (!q) {
+            return res.status(400).json({
+                error: 'Informe o texto da busca (q)'
+            });
+        }
+
+        const results = await knowledgeService.search(q, {
+            limit: Math.min(parseInt(req.query.limit) || 5, 50)
+        });
+
+        res.json({ results });
+
+    } catch (error) {
+        console.error('Erro ao buscar conhecimento:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Uso das entradas: vezes enviadas no contexto e citadas nas respostas
+router.get('/knowledge/usage', async (req, res) => {
+    try {
+        const { limit = 50, offset = 0 } = req.query;
+
+        const usage = await knowledgeService.usage({
+            limit: Math.min(parseInt(limit) || 50, 200),
+            offset: parseInt(offset) || 0
+        });
+
+        res.json({ usage });
+
+    } catch (error) {
+        console.error('Erro ao buscar uso do conhecimento:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Exportação: json (lista), csv ou markdown (arquivos no formato aceito pela importação)
+router.get('/knowledge/export', async (req, res) => {
+    try {
+        const { format = 'json', category } = req.query;
+        if (!['json', 'csv', 'markdown'].includes(format)) {
+            return res.status(400).json({
+                error: 'Formato inválido (json, csv ou markdown)'
+            });
+        }
+
+        const entries = await knowledgeService.all({ category });
+        const date = new Date().toISOString().slice(0, 10);
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="conhecimento_${date}.csv"`);
+            return res.send(knowledgeImport.toCsv(entries));
+        }
+
+        if (format === 'markdown') {
+            return res.json({ files: knowledgeImport.toMarkdownFiles(entries) });
+        }
+
+        res.setHeader('Content-Disposition', `attachment; filename="conhecimento_${date}.json"`);
+        res.json({ entries: entries.map(entry => knowledgeImport.normalizeEntry(entry)) });
+
+    } catch (error) {
+        console.error('Erro ao exportar conhecimento:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Importação em lote com upsert pelo título.
+// markdown: files [{ path: 'Categoria/Subcategoria/arquivo.md', content }]; csv: content (texto);
+// json: entries (lista) ou content (texto JSON). dryRun calcula o resumo sem gravar.
+router.post('/knowledge/import', [
+    body('format').isIn(['markdown', 'csv', 'json']),
+    body('files').optional().isArray({ max: 2000 }),
+    body('files.*.path').optional().isString(),
+    body('files.*.content').optional().isString(),
+    body('content').optional().isString(),
+    body('entries').optional().isArray({ max: 5000 }),
+    body('dryRun').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
+        }
+
+        const { format, files, content, entries, dryRun = false } = req.body;
+
+        let parsed;
+        try {
+            if (format === 'markdown') {
+                parsed = knowledgeImport.parseMarkdownFiles(files || []);
+            } else if (format === 'csv') {
+                parsed = knowledgeImport.parseCsv(content || '');
+            } else {
+                parsed = knowledgeImport.parseJson(entries || content || '');
+            }
+        } catch (parseError) {
+            return res.status(400).json({
+                error: 'Arquivo inválido',
+                details: parseError.message
+            });
+        }
+
+        if (parsed.length === 0) {
+            return res.status(400).json({
+                error: 'Nenhuma entrada encontrada para importar'
+            });
+        }
+
+        const summary = await knowledgeService.import(parsed, { dryRun });
+
+        res.status(dryRun ? 200 : 201).json({
+            dryRun,
+            total: parsed.length,
+            ...summary
+        });
+
+    } catch (error) {
+        console.error('Erro ao importar conhecimento:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+router.get('/knowledge/:id', async (req, res) => {
+    try {
+        const entry = await knowledgeService.get(req.params.id);
+        if (!entry) {
+            return res.status(404).json({
+                error: 'Entrada não encontrada'
+            });
+        }
+
+        res.json({ entry });
+
+    } catch (error) {
+        console.error('Erro ao buscar entrada:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+router.post('/knowledge', knowledgeValidation(), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
+        }
+
+        if (await knowledgeService.findByTitle(req.body.title)) {
+            return res.status(409).json({
+                error: 'Já existe uma entrada com este título'
+            });
+        }
+
+        const entry = await knowledgeService.create(pickKnowledgeFields(req.body));
+
+        res.status(201).json({ entry });
+
+    } catch (error) {
+        console.error('Erro ao criar entrada:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+router.put('/knowledge/:id', knowledgeValidation(true), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
+        }
+
+        const existing = await knowledgeService.get(req.params.id);
+        if (!existing) {
+            return res.status(404).json({
+                error: 'Entrada não encontrada'
+            });
+        }
+
+        if (req.body.title) {
+            const sameTitle = await knowledgeService.findByTitle(req.body.title);
+            if (sameTitle && sameTitle.id !== existing.id) {
+                return res.status(409).json({
+                    error: 'Já existe uma entrada com este título'
+                });
+            }
+        }
+
+        const entry = await knowledgeService.update(existing.id, pickKnowledgeFields(req.body));
+
+        res.json({ entry });
+
+    } catch (error) {
+        console.error('Erro ao atualizar entrada:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+router.delete('/knowledge/:id', async (req, res) => {
+    try {
+        const result = await knowledgeService.remove(req.params.id);
+        if (result.changes === 0) {
+            return res.status(404).json({
+                error: 'Entrada não encontrada'
+            });
+        }
+
+        res.json({
+            message: 'Entrada removida com sucesso'
+        });
+
+    } catch (error) {
+        console.error('Erro ao remover entrada:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+module.exports = router;
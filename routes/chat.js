@@ -1,20 +1,929 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const database = require('../database/init');
 const { optionalAuth, checkCredits } = require('../middleware/auth');
 const aiService = require('../services/aiService');
+const providerRegistry = require('../services/providerRegistry');
+const billingService = require('../services/billingService');
+const tradeSetupService = require('../services/tradeSetupService');
+const complianceService = require('../services/complianceService');
+const robotService = require('../services/robotService');
+const knowledgeService = require('../services/knowledgeService');
+const documentService = require('../services/documentService');
+const memoryService = require('../services/memoryService');
+const summaryService = require('../services/summaryService');
+const messageTreeService = require('../services/messageTreeService');
+const feedbackService = require('../services/feedbackService');
+const conversationService = require('../services/conversationService');
+const { LANGUAGE_IDS } = require('../services/robotLanguages');
+const { AIUnavailableError } = require('../services/errors');
 
 const router = express.Router();
 
+const MODES = ['consulta', 'daytrade', 'portfolio', 'robot'];
+
 // Validações
 const messageValidation = [
     body('message').trim().isLength({ min: 1, max: 2000 }).withMessage('Mensagem deve ter entre 1 e 2000 caracteres'),
-    body('mode').isIn(['consulta', 'daytrade', 'portfolio', 'robot']).withMessage('Modo inválido'),
-    body('conversationId').optional().isInt().withMessage('ID da conversa inválido')
+    body('mode').isIn(MODES).withMessage('Modo inválido'),
+    body('conversationId').optional().isInt().withMessage('ID da conversa inválido'),
+    body('provider').optional().isString().withMessage('Provedor inválido'),
+    body('structured').optional().isBoolean().withMessage('structured deve ser booleano'),
+    body('strategyId').optional().isInt().withMessage('ID da estratégia inválido'),
+    body('language').optional().isIn(LANGUAGE_IDS).withMessage('Linguagem inválida'),
+    body('documentIds').optional().isArray({ max: 10 }).withMessage('documentIds deve ser uma lista de até 10 documentos'),
+    body('documentIds.*').isInt().toInt().withMessage('ID do documento inválido')
+];
+
+// Regenerar ou editar: sem modo, vale o da resposta original (ou o da conversa)
+const branchValidation = [
+    body('mode').optional().isIn(MODES).withMessage('Modo inválido'),
+    body('provider').optional().isString().withMessage('Provedor inválido'),
+    body('structured').optional().isBoolean().withMessage('structured deve ser booleano'),
+    body('strategyId').optional().isInt().withMessage('ID da estratégia inválido'),
+    body('language').optional().isIn(LANGUAGE_IDS).withMessage('Linguagem inválida')
+];
+
+// Enviar mensagem para o chat
+router.post('/message', [optionalAuth, messageValidation], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
+        }
+
+        const { message, mode, conversationId, provider, structured, strategyId, language, documentIds = [] } = req.body;
+        const userId = req.user?.id;
+        const plan = req.user?.plan || 'free';
+
+        // Modelo do plano e créditos para usuários autenticados
+        const accessError = await checkAccess(userId, plan, provider);
+        if (accessError) {
+            return res.status(accessError.status).json(accessError.body);
+        }
+
+        // Estratégia da biblioteca selecionada como contexto para a IA modificar
+        const strategy = strategyId && userId ? await robotService.loadForContext(strategyId, userId) : null;
+        if (strategyId && !strategy) {
+            return res.status(404).json({
+                error: 'Estratégia não encontrada'
+            });
+        }
+
+        // Documentos enviados pelo usuário a anexar à conversa
+        const documentError = await checkDocuments(userId, documentIds);
+        if (documentError) {
+            return res.status(documentError.status).json({ error: documentError.error });
+        }
+
+        const { conversation, conversationHistory, summary, userMessageId } = await prepareConversation(
+            userId, conversationId, message, mode
+        );
+        if (conversation && documentIds.length > 0) {
+            await documentService.attach(conversation.id, documentIds);
+        }
+
+        // Gerar resposta da IA
+        const aiResponse = await aiService.generateResponse(
+            message, 
+            mode, 
+            userId, 
+            conversationHistory,
+            {
+                plan, provider, structured, strategy, conversationId: conversation?.id,
+                summary,
+                // A estratégia selecionada define a linguagem
+                language: strategy?.language || language
+            }
+        );
+
+        // Salvar resposta da IA
+        let strategyVersion = null;
+        let saved = null;
+        if (conversation) {
+            saved = await saveAssistantMessage(conversation.id, userMessageId, aiResponse, userId);
+            if (strategy) {
+                strategyVersion = await robotService.saveVersionFromResponse(strategy, saved.id, aiResponse.content);
+            }
+            summaryService.schedule(conversation.id, plan);
+        }
+
+        // Créditos já debitados pelo serviço de IA conforme o custo da resposta
+        res.json({
+            message: 'Resposta gerada com sucesso',
+            response: aiResponse.content,
+            conversationId: conversation?.id,
+            messageId: saved?.id || null,
+            ...responseFields(aiResponse),
+            strategyVersion
+        });
+
+    } catch (error) {
+        if (error instanceof AIUnavailableError) {
+            console.error('Nenhum provedor de IA disponível:', error.attempts);
+            return res.status(error.statusCode).json({
+                error: 'Serviço de IA indisponível no momento. Tente novamente em alguns minutos. Nenhum crédito foi consumido.'
+            });
+        }
+
+        console.error('Erro ao processar mensagem:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Enviar mensagem com resposta em streaming (Server-Sent Events)
+router.post('/message/stream', [optionalAuth, messageValidation], async (req, res) => {
+    const abortController = new AbortController();
+
+    // Cliente cancelou (fechou a conexão) antes do fim do stream
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            abortController.abort();
+        }
+    });
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
+        }
+
+        const { message, mode, conversationId, provider, structured, strategyId, language, documentIds = [] } = req.body;
+        const userId = req.user?.id;
+        const plan = req.user?.plan || 'free';
+
+        const accessError = await checkAccess(userId, plan, provider);
+        if (accessError) {
+            return res.status(accessError.status).json(accessError.body);
+        }
+
+        // Estratégia da biblioteca selecionada como contexto para a IA modificar
+        const strategy = strategyId && userId ? await robotService.loadForContext(strategyId, userId) : null;
+        if (strategyId && !strategy) {
+            return res.status(404).json({
+                error: 'Estratégia não encontrada'
+            });
+        }
+
+        // Documentos enviados pelo usuário a anexar à conversa
+        const documentError = await checkDocuments(userId, documentIds);
+        if (documentError) {
+            return res.status(documentError.status).json({ error: documentError.error });
+        }
+
+        const { conversation, conversationHistory, summary, userMessageId } = await prepareConversation(
+            userId, conversationId, message, mode
+        );
+        if (conversation && documentIds.length > 0) {
+            await documentService.attach(conversation.id, documentIds);
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+
+        sendEvent(res, 'start', { conversationId: conversation?.id });
+
+        try {
+            const stream = aiService.generateResponseStream(
+                message,
+                mode,
+                userId,
+                conversationHistory,
+                {
+                    plan, provider, structured, strategy, conversationId: conversation?.id,
+                    summary,
+                    language: strategy?.language || language,
+                    signal: abortController.signal
+                }
+            );
+
+            for await (const chunk of stream) {
+                if (chunk.type === 'delta') {
+                    sendEvent(res, 'delta', { content: chunk.content });
+                    continue;
+                }
+
+                if (chunk.type === 'tool') {
+                    sendEvent(res, 'tool', { name: chunk.name, arguments: chunk.arguments });
+                    continue;
+                }
+
+                // chunk.type === 'done': resposta completa, créditos já debitados pelo serviço
+                let strategyVersion = null;
+                let saved = null;
+                if (conversation) {
+                    saved = await saveAssistantMessage(conversation.id, userMessageId, chunk, userId);
+                    if (strategy) {
+                        strategyVersion = await robotService.saveVersionFromResponse(strategy, saved.id, chunk.content);
+                    }
+                    summaryService.schedule(conversation.id, plan);
+                }
+
+                sendEvent(res, 'done', {
+                    response: chunk.content,
+                    conversationId: conversation?.id,
+                    messageId: saved?.id || null,
+                    ...responseFields(chunk),
+                    strategyVersion
+                });
+            }
+        } catch (error) {
+            if (abortController.signal.aborted) {
+                return;
+            }
+
+            if (error instanceof AIUnavailableError) {
+                console.error('Nenhum provedor de IA disponível:', error.attempts);
+                sendEvent(res, 'error', {
+                    error: 'Serviço de IA indisponível no momento. Tente novamente em alguns minutos. Nenhum crédito foi consumido.'
+                });
+            } else {
+                console.error('Erro no stream da IA:', error);
+                sendEvent(res, 'error', {
+                    error: 'Falha ao gerar resposta. Nenhum crédito foi consumido.'
+                });
+            }
+        }
+
+        res.end();
+
+    } catch (error) {
+        console.error('Erro ao processar mensagem em streaming:', error);
+        if (res.headersSent) {
+            sendEvent(res, 'error', { error: 'Erro interno do servidor' });
+            return res.end();
+        }
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Listar modelos de IA habilitados para o plano do usuário
+router.get('/models', optionalAuth, async (req, res) => {
+    try {
+        const plan = req.user?.plan || 'free';
+
+        const models = providerRegistry.listForPlan(plan).map(config => ({
+            id: config.id,
+            name: config.name,
+            model: config.model,
+            contextWindow: config.contextWindow,
+            maxTokens: config.maxTokens,
+            pricing: config.pricing,
+            capabilities: config.capabilities
+        }));
+
+        res.json({
+            plan,
+            models
+        });
+
+    } catch (error) {
+        console.error('Erro ao listar modelos:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+const paginationValidation = [
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt().withMessage('limit deve ser um número entre 1 e 100'),
+    query('cursor').optional().custom(value => Boolean(conversationService.decodeCursor(value)))
+        .withMessage('Cursor inválido')
 ];
 
-// Enviar mensagem para o chat
-router.post('/message', [optionalAuth, messageValidation], async (req, res) => {
+// Buscar conversas do usuário (fixadas primeiro; nextCursor traz a próxima página)
+router.get('/conversations', [
+    optionalAuth,
+    query('archived').optional().isIn(['true', 'false', 'all']).withMessage('archived deve ser true, false ou all'),
+    query('pinned').optional().isBoolean().toBoolean().withMessage('pinned deve ser booleano'),
+    query('folderId').optional().custom(value => value === 'none' || /^\d+$/.test(value))
+        .withMessage('folderId deve ser o ID de uma pasta ou none'),
+    query('tag').optional().trim().isLength({ min: 1, max: 30 }).withMessage('Etiqueta inválida'),
+    query('mode').optional().isIn(MODES).withMessage('Modo inválido'),
+    query('sort').optional().isIn(conversationService.sorts).withMessage('Ordenação inválida'),
+    query('order').optional().isIn(['asc', 'desc']).withMessage('order deve ser asc ou desc'),
+    ...paginationValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
+        }
+
+        if (!req.user) {
+            return res.status(401).json({
+                error: 'Usuário não autenticado'
+            });
+        }
+
+        const { archived, pinned, folderId, tag, mode, sort, order } = req.query;
+        const { conversations, nextCursor } = await conversationService.list(req.user.id, {
+            archived,
+            pinned,
+            folderId,
+            tag,
+            mode,
+            sort,
+            order,
+            limit: req.query.limit || 20,
+            cursor: conversationService.decodeCursor(req.query.cursor)
+        });
+
+        res.json({
+            conversations,
+            nextCursor
+        });
+
+    } catch (error) {
+        console.error('Erro ao buscar conversas:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Organizar a conversa: renomear, fixar, arquivar/desarquivar, mover de pasta e etiquetar.
+// Só os campos enviados mudam; folderId null tira da pasta e tags substitui a lista
+router.patch('/conversations/:conversationId', [
+    optionalAuth,
+    body('title').optional().isString().withMessage('Título deve ser um texto')
+        .trim().isLength({ min: 1, max: 100 }).withMessage('Título deve ter entre 1 e 100 caracteres'),
+    body('pinned').optional().isBoolean({ strict: true }).withMessage('pinned deve ser booleano'),
+    body('archived').optional().isBoolean({ strict: true }).withMessage('archived deve ser booleano'),
+    body('folderId').optional({ nullable: true }).isInt().withMessage('ID da pasta inválido').toInt(),
+    body('tags').optional().isArray({ max: 10 }).withMessage('tags deve ser uma lista de até 10 etiquetas'),
+    body('tags.*').isString().trim().isLength({ min: 1, max: 30 }).withMessage('Etiqueta deve ter entre 1 e 30 caracteres')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
+        }
+
+        if (!req.user) {
+            return res.status(401).json({
+                error: 'Usuário não autenticado'
+            });
+        }
+
+        const conversation = await database.get(
+            'SELECT id FROM conversations WHERE id = ? AND user_id = ?',
+            [req.params.conversationId, req.user.id]
+        );
+        if (!conversation) {
+            return res.status(404).json({
+                error: 'Conversa não encontrada'
+            });
+        }
+
+        const { title, pinned, archived, folderId, tags } = req.body;
+        if (folderId && !(await conversationService.findFolder(req.user.id, folderId))) {
+            return res.status(404).json({
+                error: 'Pasta não encontrada'
+            });
+        }
+
+        res.json({
+            conversation: await conversationService.update(conversation.id, { title, pinned, archived, folderId, tags })
+        });
+
+    } catch (error) {
+        console.error('Erro ao atualizar conversa:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Etiquetas usadas nas conversas do usuário
+router.get('/tags', optionalAuth, async (req, res) => {
+    try {
+        if (!req.user) {
+            return res.status(401).json({
+                error: 'Usuário não autenticado'
+            });
+        }
+
+        res.json({ tags: await conversationService.listTags(req.user.id) });
+
+    } catch (error) {
+        console.error('Erro ao listar etiquetas:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Pastas de conversas do usuário
+const folderValidation = [
+    optionalAuth,
+    body('name').isString().withMessage('Nome deve ser um texto')
+        .trim().isLength({ min: 1, max: 50 }).withMessage('Nome deve ter entre 1 e 50 caracteres')
+];
+
+router.get('/folders', optionalAuth, async (req, res) => {
+    try {
+        if (!req.user) {
+            return res.status(401).json({
+                error: 'Usuário não autenticado'
+            });
+        }
+
+        res.json({ folders: await conversationService.listFolders(req.user.id) });
+
+    } catch (error) {
+        console.error('Erro ao listar pastas:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+router.post('/folders', folderValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
+        }
+
+        if (!req.user) {
+            return res.status(401).json({
+                error: 'Usuário não autenticado'
+            });
+        }
+
+        if (await conversationService.findFolderByName(req.user.id, req.body.name)) {
+            return res.status(409).json({
+                error: 'Já existe uma pasta com este nome'
+            });
+        }
+
+        res.status(201).json({
+            folder: await conversationService.createFolder(req.user.id, req.body.name)
+        });
+
+    } catch (error) {
+        console.error('Erro ao criar pasta:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+router.put('/folders/:folderId', folderValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
+        }
+
+        if (!req.user) {
+            return res.status(401).json({
+                error: 'Usuário não autenticado'
+            });
+        }
+
+        const folder = await conversationService.findFolder(req.user.id, req.params.folderId);
+        if (!folder) {
+            return res.status(404).json({
+                error: 'Pasta não encontrada'
+            });
+        }
+
+        const existing = await conversationService.findFolderByName(req.user.id, req.body.name);
+        if (existing && existing.id !== folder.id) {
+            return res.status(409).json({
+                error: 'Já existe uma pasta com este nome'
+            });
+        }
+
+        res.json({
+            folder: await conversationService.renameFolder(req.user.id, folder.id, req.body.name)
+        });
+
+    } catch (error) {
+        console.error('Erro ao renomear pasta:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Excluir a pasta não exclui as conversas: elas ficam sem pasta
+router.delete('/folders/:folderId', optionalAuth, async (req, res) => {
+    try {
+        if (!req.user) {
+            return res.status(401).json({
+                error: 'Usuário não autenticado'
+            });
+        }
+
+        const folder = await conversationService.findFolder(req.user.id, req.params.folderId);
+        if (!folder) {
+            return res.status(404).json({
+                error: 'Pasta não encontrada'
+            });
+        }
+
+        await conversationService.deleteFolder(folder.id);
+
+        res.json({
+            message: 'Pasta excluída com sucesso'
+        });
+
+    } catch (error) {
+        console.error('Erro ao excluir pasta:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Buscar mensagens de uma conversa
+router.get('/conversations/:conversationId/messages', optionalAuth, async (req, res) => {
+    try {
+        const { conversationId } = req.params;
+        
+        if (!req.user) {
+            return res.status(401).json({
+                error: 'Usuário não autenticado'
+            });
+        }
+
+        // Verificar se a conversa pertence ao usuário
+        const conversation = await database.get(
+            'SELECT * FROM conversations WHERE id = ? AND user_id = ?',
+            [conversationId, req.user.id]
+        );
+
+        if (!conversation) {
+            return res.status(404).json({
+                error: 'Conversa não encontrada'
+            });
+        }
+
+        // Só o ramo ativo; as alternativas de cada mensagem vêm em siblings
+        const messages = await messageTreeService.path(
+            conversation.active_message_id,
+            `m.id, m.parent_id, m.role, m.content, m.created_at, m.tokens_used, m.input_tokens, m.output_tokens,
+             m.cost, m.credits_charged, m.model_used, m.provider_used, m.failover, m.market_snapshot`
+        );
+        const siblings = await messageTreeService.siblings(conversation.id, messages);
+
+        // Anexar as chamadas de ferramentas usadas em cada resposta
+        const toolCalls = await database.all(
+            `SELECT t.message_id, t.tool_name, t.arguments, t.result, t.created_at
+             FROM message_tool_calls t
+             JOIN messages m ON m.id = t.message_id
+             WHERE m.conversation_id = ?
+             ORDER BY t.id ASC`,
+            [conversationId]
+        );
+
+        const setups = await database.all(
+            'SELECT * FROM trade_setups WHERE conversation_id = ? ORDER BY id ASC',
+            [conversationId]
+        );
+
+        const sources = await knowledgeService.sourcesForConversation(conversationId);
+        const feedback = await feedbackService.forConversation(conversationId);
+
+        messages.forEach(msg => {
+            msg.siblings = siblings.get(msg.id);
+            msg.sibling_index = msg.siblings.indexOf(msg.id);
+            const setup = setups.find(row => row.message_id === msg.id);
+            msg.trade_setup = setup ? tradeSetupService.fromRow(setup) : null;
+            // Dados de mercado que a IA recebeu ao gerar a resposta
+            msg.market_snapshot = msg.market_snapshot ? JSON.parse(msg.market_snapshot) : null;
+            const rating = feedback.find(row => row.message_id === msg.id);
+            msg.feedback = rating ? feedbackService.fromRow(rating) : null;
+            msg.sources = sources
+                .filter(source => source.message_id === msg.id)
+                .map(({ message_id, ...source }) => source);
+            msg.tool_calls = toolCalls
+                .filter(call => call.message_id === msg.id)
+                .map(call => ({
+                    name: call.tool_name,
+                    arguments: JSON.parse(call.arguments),
+                    result: JSON.parse(call.result),
+                    created_at: call.created_at
+                }));
+        });
+
+        res.json({
+            conversation,
+            messages
+        });
+
+    } catch (error) {
+        console.error('Erro ao buscar mensagens:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Gerar outra resposta para a mesma pergunta (opcionalmente com outro provedor).
+// A nova resposta é irmã da original e passa a ser o ramo ativo
+router.post('/messages/:messageId/regenerate', [optionalAuth, branchValidation], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
+        }
+
+        if (!req.user) {
+            return res.status(401).json({
+                error: 'Usuário não autenticado'
+            });
+        }
+
+        const target = await findOwnedMessage(req.params.messageId, req.user.id);
+        if (!target) {
+            return res.status(404).json({
+                error: 'Mensagem não encontrada'
+            });
+        }
+
+        if (target.role !== 'assistant') {
+            return res.status(400).json({
+                error: 'Só respostas da IA podem ser regeneradas'
+            });
+        }
+
+        const question = await database.get(
+            'SELECT id, parent_id, role, content FROM messages WHERE id = ?',
+            [target.parent_id]
+        );
+        if (!question || question.role !== 'user') {
+            return res.status(400).json({
+                error: 'Pergunta original não encontrada'
+            });
+        }
+
+        const accessError = await checkAccess(req.user.id, req.user.plan || 'free', req.body.provider);
+        if (accessError) {
+            return res.status(accessError.status).json(accessError.body);
+        }
+
+        // Estratégia da biblioteca: a informada ou a que a resposta original modificou,
+        // partindo da versão anterior à gerada por ela
+        let strategy = null;
+        if (req.body.strategyId) {
+            strategy = await robotService.loadForContext(req.body.strategyId, req.user.id);
+            if (!strategy) {
+                return res.status(404).json({
+                    error: 'Estratégia não encontrada'
+                });
+            }
+        } else {
+            const source = await robotService.versionFromMessage(target.id);
+            if (source && source.version > 1) {
+                strategy = await robotService.loadForContext(source.strategy_id, req.user.id, source.version - 1);
+            }
+        }
+
+        const conversation = await database.get('SELECT * FROM conversations WHERE id = ?', [target.conversation_id]);
+        const { aiResponse, saved, strategyVersion } = await answerOnBranch(req, conversation, question, target.mode, strategy);
+
+        res.json({
+            message: 'Resposta regenerada com sucesso',
+            response: aiResponse.content,
+            conversationId: conversation.id,
+            messageId: saved.id,
+            parentId: question.id,
+            ...responseFields(aiResponse),
+            strategyVersion
+        });
+
+    } catch (error) {
+        if (error instanceof AIUnavailableError) {
+            console.error('Nenhum provedor de IA disponível:', error.attempts);
+            return res.status(error.statusCode).json({
+                error: 'Serviço de IA indisponível no momento. Tente novamente em alguns minutos. Nenhum crédito foi consumido.'
+            });
+        }
+
+        console.error('Erro ao regenerar resposta:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Editar uma pergunta anterior: a versão editada é irmã da original (a conversa se ramifica
+// a partir dali), recebe uma nova resposta e passa a ser o ramo ativo
+router.post('/messages/:messageId/edit', [
+    optionalAuth,
+    body('message').trim().isLength({ min: 1, max: 2000 }).withMessage('Mensagem deve ter entre 1 e 2000 caracteres'),
+    ...branchValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
+        }
+
+        if (!req.user) {
+            return res.status(401).json({
+                error: 'Usuário não autenticado'
+            });
+        }
+
+        const target = await findOwnedMessage(req.params.messageId, req.user.id);
+        if (!target) {
+            return res.status(404).json({
+                error: 'Mensagem não encontrada'
+            });
+        }
+
+        if (target.role !== 'user') {
+            return res.status(400).json({
+                error: 'Só perguntas do usuário podem ser editadas'
+            });
+        }
+
+        const accessError = await checkAccess(req.user.id, req.user.plan || 'free', req.body.provider);
+        if (accessError) {
+            return res.status(accessError.status).json(accessError.body);
+        }
+
+        const strategy = req.body.strategyId ? await robotService.loadForContext(req.body.strategyId, req.user.id) : null;
+        if (req.body.strategyId && !strategy) {
+            return res.status(404).json({
+                error: 'Estratégia não encontrada'
+            });
+        }
+
+        const conversation = await database.get('SELECT * FROM conversations WHERE id = ?', [target.conversation_id]);
+        const edited = await messageTreeService.append(conversation.id, target.parent_id, {
+            role: 'user',
+            content: req.body.message
+        });
+        memoryService.index(edited.id, req.user.id, req.body.message);
+
+        // Sem modo na requisição vale o da resposta original à pergunta editada
+        const answer = await database.get(
+            `SELECT mode FROM messages WHERE parent_id = ? AND role = 'assistant' AND mode IS NOT NULL
+             ORDER BY id ASC LIMIT 1`,
+            [target.id]
+        );
+
+        const question = { id: edited.id, parent_id: target.parent_id, content: req.body.message };
+        const { aiResponse, saved, strategyVersion } = await answerOnBranch(
+            req, conversation, question, answer?.mode || conversation.mode, strategy
+        );
+
+        res.json({
+            message: 'Mensagem editada com sucesso',
+            response: aiResponse.content,
+            conversationId: conversation.id,
+            messageId: saved.id,
+            parentId: edited.id,
+            ...responseFields(aiResponse),
+            strategyVersion
+        });
+
+    } catch (error) {
+        if (error instanceof AIUnavailableError) {
+            console.error('Nenhum provedor de IA disponível:', error.attempts);
+            return res.status(error.statusCode).json({
+                error: 'Serviço de IA indisponível no momento. Tente novamente em alguns minutos. Nenhum crédito foi consumido.'
+            });
+        }
+
+        console.error('Erro ao editar mensagem:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Motivos aceitos na avaliação das respostas
+router.get('/feedback/reasons', (req, res) => {
+    res.json({
+        reasons: Object.entries(feedbackService.reasons).map(([id, label]) => ({ id, label }))
+    });
+});
+
+// Avaliar uma resposta da IA (polegar para cima/baixo, motivos opcionais). Avaliar de novo substitui
+router.post('/messages/:messageId/feedback', [
+    optionalAuth,
+    body('rating').isIn(['up', 'down']).withMessage('rating deve ser up ou down'),
+    body('reasons').optional().isArray({ max: 7 }).withMessage('reasons deve ser uma lista de motivos'),
+    body('reasons.*').isIn(Object.keys(feedbackService.reasons)).withMessage('Motivo inválido'),
+    body('comment').optional({ nullable: true }).isString().withMessage('Comentário deve ser um texto')
+        .trim().isLength({ max: 500 }).withMessage('Comentário deve ter até 500 caracteres')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
+        }
+
+        if (!req.user) {
+            return res.status(401).json({
+                error: 'Usuário não autenticado'
+            });
+        }
+
+        const message = await findOwnedMessage(req.params.messageId, req.user.id);
+        if (!message) {
+            return res.status(404).json({
+                error: 'Mensagem não encontrada'
+            });
+        }
+
+        if (message.role !== 'assistant') {
+            return res.status(400).json({
+                error: 'Só respostas da IA podem ser avaliadas'
+            });
+        }
+
+        const feedback = await feedbackService.save(message, req.user.id, req.body);
+
+        res.json({
+            message: 'Avaliação registrada',
+            feedback
+        });
+
+    } catch (error) {
+        console.error('Erro ao registrar avaliação:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+router.delete('/messages/:messageId/feedback', optionalAuth, async (req, res) => {
+    try {
+        if (!req.user) {
+            return res.status(401).json({
+                error: 'Usuário não autenticado'
+            });
+        }
+
+        const message = await findOwnedMessage(req.params.messageId, req.user.id);
+        if (!message) {
+            return res.status(404).json({
+                error: 'Mensagem não encontrada'
+            });
+        }
+
+        await feedbackService.remove(message.id);
+
+        res.json({
+            message: 'Avaliação removida'
+        });
+
+    } catch (error) {
+        console.error('Erro ao remover avaliação:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Trocar o ramo ativo para o que passa pela mensagem informada (uma das alternativas em siblings)
+router.put('/conversations/:conversationId/branch', [
+    optionalAuth,
+    body('messageId').isInt().toInt().withMessage('ID da mensagem inválido')
+], async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -24,112 +933,191 @@ router.post('/message', [optionalAuth, messageValidation], async (req, res) => {
             });
         }
 
-        const { message, mode, conversationId } = req.body;
-        const userId = req.user?.id;
+        if (!req.user) {
+            return res.status(401).json({
+                error: 'Usuário não autenticado'
+            });
+        }
 
-        // Verificar créditos para usuários autenticados
-        if (userId) {
-            const user = await database.get('SELECT credits, plan FROM users WHERE id = ?', [userId]);
-            if (user && (user.plan === 'free' || user.plan === 'basic') && user.credits <= 0) {
-                return res.status(402).json({
-                    error: 'Créditos insuficientes',
-                    credits: 0
-                });
-            }
-        } else {
-            // Usuários não autenticados têm limite básico (simulado via session)
-            // Em produção, você implementaria rate limiting por IP
+        const message = await findOwnedMessage(req.body.messageId, req.user.id);
+        if (!message || message.conversation_id !== Number(req.params.conversationId)) {
+            return res.status(404).json({
+                error: 'Mensagem não encontrada'
+            });
         }
 
-        // Buscar ou criar conversa
-        let conversation;
-        if (conversationId && userId) {
-            conversation = await database.get(
-                'SELECT * FROM conversations WHERE id = ? AND user_id = ?',
-                [conversationId, userId]
-            );
+        const activeMessageId = await messageTreeService.activate(message.conversation_id, message.id);
+
+        res.json({
+            message: 'Ramo ativo atualizado',
+            activeMessageId
+        });
+
+    } catch (error) {
+        console.error('Erro ao trocar ramo da conversa:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Busca full-text nos títulos e mensagens das conversas do usuário, com trechos destacados
+router.get('/search', [
+    optionalAuth,
+    query('q').trim().isLength({ min: 1, max: 200 }).withMessage('Informe o texto da busca (q), até 200 caracteres'),
+    query('mode').optional().isIn(MODES).withMessage('Modo inválido'),
+    query('from').optional().isISO8601({ strict: true }).withMessage('from deve ser uma data (AAAA-MM-DD)'),
+    query('to').optional().isISO8601({ strict: true }).withMessage('to deve ser uma data (AAAA-MM-DD)'),
+    ...paginationValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
         }
 
-        if (!conversation && userId) {
-            // Criar nova conversa
-            const title = message.length > 50 ? message.substring(0, 50) + '...' : message;
-            const result = await database.run(
-                'INSERT INTO conversations (user_id, title, mode) VALUES (?, ?, ?)',
-                [userId, title, mode]
-            );
-            
-            conversation = {
-                id: result.id,
-                user_id: userId,
-                title,
-                mode
-            };
+        if (!req.user) {
+            return res.status(401).json({
+                error: 'Usuário não autenticado'
+            });
         }
 
-        // Buscar histórico da conversa
-        let conversationHistory = [];
-        if (conversation) {
-            conversationHistory = await database.all(
-                'SELECT role, content FROM messages WHERE conversation_id = ? ORDER BY created_at ASC',
-                [conversation.id]
-            );
+        const { q, mode, from, to } = req.query;
+        const { results, nextCursor } = await conversationService.search(req.user.id, q, {
+            mode,
+            from,
+            to,
+            limit: req.query.limit || 20,
+            cursor: conversationService.decodeCursor(req.query.cursor)
+        });
+
+        res.json({
+            results,
+            nextCursor
+        });
+
+    } catch (error) {
+        console.error('Erro ao buscar no histórico:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Busca nas mensagens de todas as conversas do usuário (palavras-chave + similaridade)
+router.get('/memory/search', [
+    optionalAuth,
+    query('q').trim().isLength({ min: 1, max: 200 }).withMessage('Informe o texto da busca (q), até 200 caracteres'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('limit deve ser um número entre 1 e 50').toInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
         }
 
-        // Salvar mensagem do usuário
-        if (conversation) {
-            await database.run(
-                'INSERT INTO messages (conversation_id, role, content) VALUES (?, ?, ?)',
-                [conversation.id, 'user', message]
-            );
+        if (!req.user) {
+            return res.status(401).json({
+                error: 'Usuário não autenticado'
+            });
         }
 
-        // Gerar resposta da IA
-        const aiResponse = await aiService.generateResponse(
-            message, 
-            mode, 
-            userId, 
-            conversationHistory
+        const { q, limit = 10 } = req.query;
+        const results = await memoryService.search(req.user.id, q, { limit });
+
+        res.json({ results });
+
+    } catch (error) {
+        console.error('Erro ao buscar na memória:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Resumo da conversa (usado no lugar das mensagens antigas no contexto da IA)
+router.get('/conversations/:conversationId/summary', optionalAuth, async (req, res) => {
+    try {
+        if (!req.user) {
+            return res.status(401).json({
+                error: 'Usuário não autenticado'
+            });
+        }
+
+        const conversation = await database.get(
+            'SELECT id FROM conversations WHERE id = ? AND user_id = ?',
+            [req.params.conversationId, req.user.id]
         );
 
-        // Salvar resposta da IA
-        if (conversation) {
-            await database.run(
-                'INSERT INTO messages (conversation_id, role, content, tokens_used, model_used) VALUES (?, ?, ?, ?, ?)',
-                [conversation.id, 'assistant', aiResponse.content, aiResponse.tokensUsed, aiResponse.model]
-            );
+        if (!conversation) {
+            return res.status(404).json({
+                error: 'Conversa não encontrada'
+            });
         }
 
-        // Atualizar créditos do usuário
-        let updatedCredits = null;
-        if (userId) {
-            const user = await database.get('SELECT credits, plan FROM users WHERE id = ?', [userId]);
-            if (user && (user.plan === 'free' || user.plan === 'basic') && user.credits > 0) {
-                await database.run('UPDATE users SET credits = credits - 1 WHERE id = ?', [userId]);
-                updatedCredits = user.credits - 1;
-            } else if (user) {
-                updatedCredits = user.credits;
-            }
+        res.json({ summary: await summaryService.get(conversation.id) });
+
+    } catch (error) {
+        console.error('Erro ao buscar resumo:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Editar o resumo (vazio remove o resumo e o histórico volta a ir inteiro)
+router.put('/conversations/:conversationId/summary', [
+    optionalAuth,
+    body('summary').isString().withMessage('Resumo deve ser um texto')
+        .isLength({ max: 4000 }).withMessage('Resumo deve ter no máximo 4000 caracteres')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
+        }
+
+        if (!req.user) {
+            return res.status(401).json({
+                error: 'Usuário não autenticado'
+            });
+        }
+
+        const conversation = await database.get(
+            'SELECT id FROM conversations WHERE id = ? AND user_id = ?',
+            [req.params.conversationId, req.user.id]
+        );
+
+        if (!conversation) {
+            return res.status(404).json({
+                error: 'Conversa não encontrada'
+            });
         }
 
         res.json({
-            message: 'Resposta gerada com sucesso',
-            response: aiResponse.content,
-            conversationId: conversation?.id,
-            credits: updatedCredits,
-            tokensUsed: aiResponse.tokensUsed,
-            model: aiResponse.model
+            message: 'Resumo atualizado com sucesso',
+            summary: await summaryService.edit(conversation.id, req.body.summary)
         });
 
     } catch (error) {
-        console.error('Erro ao processar mensagem:', error);
+        console.error('Erro ao editar resumo:', error);
         res.status(500).json({
             error: 'Erro interno do servidor'
         });
     }
 });
 
-// Buscar conversas do usuário
-router.get('/conversations', optionalAuth, async (req, res) => {
+// Documentos anexados à conversa
+router.get('/conversations/:conversationId/documents', optionalAuth, async (req, res) => {
     try {
         if (!req.user) {
             return res.status(401).json({
@@ -137,43 +1125,53 @@ router.get('/conversations', optionalAuth, async (req, res) => {
             });
         }
 
-        const conversations = await database.all(
-            `SELECT c.id, c.title, c.mode, c.created_at, c.updated_at,
-                    (SELECT COUNT(*) FROM messages WHERE conversation_id = c.id) as message_count
-             FROM conversations c 
-             WHERE c.user_id = ? 
-             ORDER BY c.updated_at DESC 
-             LIMIT 20`,
-            [req.user.id]
+        const conversation = await database.get(
+            'SELECT id FROM conversations WHERE id = ? AND user_id = ?',
+            [req.params.conversationId, req.user.id]
         );
 
+        if (!conversation) {
+            return res.status(404).json({
+                error: 'Conversa não encontrada'
+            });
+        }
+
         res.json({
-            conversations
+            documents: await documentService.listForConversation(conversation.id)
         });
 
     } catch (error) {
-        console.error('Erro ao buscar conversas:', error);
+        console.error('Erro ao buscar documentos da conversa:', error);
         res.status(500).json({
             error: 'Erro interno do servidor'
         });
     }
 });
 
-// Buscar mensagens de uma conversa
-router.get('/conversations/:conversationId/messages', optionalAuth, async (req, res) => {
+// Anexar documentos já enviados (POST /api/documents) a uma conversa existente
+router.post('/conversations/:conversationId/documents', [
+    optionalAuth,
+    body('documentIds').isArray({ min: 1, max: 10 }).withMessage('documentIds deve ser uma lista de 1 a 10 documentos'),
+    body('documentIds.*').isInt().toInt().withMessage('ID do documento inválido')
+], async (req, res) => {
     try {
-        const { conversationId } = req.params;
-        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
+        }
+
         if (!req.user) {
             return res.status(401).json({
                 error: 'Usuário não autenticado'
             });
         }
 
-        // Verificar se a conversa pertence ao usuário
         const conversation = await database.get(
-            'SELECT * FROM conversations WHERE id = ? AND user_id = ?',
-            [conversationId, req.user.id]
+            'SELECT id FROM conversations WHERE id = ? AND user_id = ?',
+            [req.params.conversationId, req.user.id]
         );
 
         if (!conversation) {
@@ -182,18 +1180,60 @@ router.get('/conversations/:conversationId/messages', optionalAuth, async (req,
             });
         }
 
-        const messages = await database.all(
-            'SELECT id, role, content, created_at, tokens_used, model_used FROM messages WHERE conversation_id = ? ORDER BY created_at ASC',
-            [conversationId]
+        const documentError = await checkDocuments(req.user.id, req.body.documentIds);
+        if (documentError) {
+            return res.status(documentError.status).json({ error: documentError.error });
+        }
+
+        await documentService.attach(conversation.id, req.body.documentIds);
+
+        res.json({
+            message: 'Documentos anexados com sucesso',
+            documents: await documentService.listForConversation(conversation.id)
+        });
+
+    } catch (error) {
+        console.error('Erro ao anexar documentos:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Desanexar documento da conversa (o documento continua na conta do usuário)
+router.delete('/conversations/:conversationId/documents/:documentId', optionalAuth, async (req, res) => {
+    try {
+        if (!req.user) {
+            return res.status(401).json({
+                error: 'Usuário não autenticado'
+            });
+        }
+
+        const conversation = await database.get(
+            'SELECT id FROM conversations WHERE id = ? AND user_id = ?',
+            [req.params.conversationId, req.user.id]
         );
 
+        if (!conversation) {
+            return res.status(404).json({
+                error: 'Conversa não encontrada'
+            });
+        }
+
+        const result = await documentService.detach(conversation.id, req.params.documentId);
+        if (result.changes === 0) {
+            return res.status(404).json({
+                error: 'Documento não anexado a esta conversa'
+            });
+        }
+
         res.json({
-            conversation,
-            messages
+            message: 'Documento removido da conversa',
+            documents: await documentService.listForConversation(conversation.id)
         });
 
     } catch (error) {
-        console.error('Erro ao buscar mensagens:', error);
+        console.error('Erro ao remover documento da conversa:', error);
         res.status(500).json({
             error: 'Erro interno do servidor'
         });
@@ -224,6 +1264,23 @@ router.delete('/conversations/:conversationId', optionalAuth, async (req, res) =
         }
 
         // Deletar mensagens primeiro (foreign key constraint)
+        await database.run('DELETE FROM trade_setups WHERE conversation_id = ?', [conversationId]);
+        await database.run('DELETE FROM message_feedback WHERE conversation_id = ?', [conversationId]);
+        await database.run('DELETE FROM conversation_tags WHERE conversation_id = ?', [conversationId]);
+        await database.run(
+            'DELETE FROM message_tool_calls WHERE message_id IN (SELECT id FROM messages WHERE conversation_id = ?)',
+            [conversationId]
+        );
+        await database.run(
+            'DELETE FROM message_knowledge WHERE message_id IN (SELECT id FROM messages WHERE conversation_id = ?)',
+            [conversationId]
+        );
+        await database.run('DELETE FROM conversation_documents WHERE conversation_id = ?', [conversationId]);
+        await database.run(
+            `DELETE FROM embeddings WHERE source_type = 'message'
+             AND source_id IN (SELECT id FROM messages WHERE conversation_id = ?)`,
+            [conversationId]
+        );
         await database.run('DELETE FROM messages WHERE conversation_id = ?', [conversationId]);
         
         // Deletar conversa
@@ -306,11 +1363,11 @@ router.get('/stats', optionalAuth, async (req, res) => {
         const stats = await database.get(
             `SELECT 
                 COUNT(DISTINCT c.id) as totalConversations,
-                COUNT(m.id) as totalMessages,
-                (5 - u.credits) as creditsUsed
+                COUNT(CASE WHEN m.role = 'user' THEN 1 END) as totalMessages,
+                SUM(m.credits_charged) as creditsUsed
              FROM users u
              LEFT JOIN conversations c ON c.user_id = u.id
-             LEFT JOIN messages m ON m.conversation_id = c.id AND m.role = 'user'
+             LEFT JOIN messages m ON m.conversation_id = c.id
              WHERE u.id = ?`,
             [req.user.id]
         );
@@ -343,4 +1400,195 @@ router.get('/stats', optionalAuth, async (req, res) => {
     }
 });
 
+// Funções auxiliares
+
+async function hasCredits(userId) {
+    const user = await database.get('SELECT credits, plan FROM users WHERE id = ?', [userId]);
+    return !(user && !billingService.getPlanConfig(user.plan).unlimited && user.credits <= 0);
+}
+
+// Mensagem de uma conversa do usuário, ou undefined
+function findOwnedMessage(messageId, userId) {
+    return database.get(
+        `SELECT m.id, m.conversation_id, m.parent_id, m.role, m.content,
+                m.provider_used, m.model_used, m.prompt_version_id, COALESCE(m.mode, c.mode) as mode
+         FROM messages m
+         JOIN conversations c ON c.id = m.conversation_id
+         WHERE m.id = ? AND c.user_id = ?`,
+        [messageId, userId]
+    );
+}
+
+// Responde à pergunta (já gravada) usando como histórico o ramo que leva até ela.
+// Sem modo na requisição vale defaultMode (o da resposta regenerada ou o da conversa).
+// strategy (biblioteca de robôs) entra no contexto e o código devolvido vira nova versão.
+// Retorna { aiResponse, saved, strategyVersion }
+async function answerOnBranch(req, conversation, question, defaultMode, strategy = null) {
+    const { mode = defaultMode, provider, structured, language } = req.body;
+    const plan = req.user.plan || 'free';
+    const { history, summary } = await messageTreeService.history(conversation, question.parent_id);
+
+    const aiResponse = await aiService.generateResponse(question.content, mode, req.user.id, history, {
+        plan, provider, structured, strategy, conversationId: conversation.id, summary,
+        language: strategy?.language || language
+    });
+
+    const saved = await saveAssistantMessage(conversation.id, question.id, aiResponse, req.user.id);
+    const strategyVersion = strategy
+        ? await robotService.saveVersionFromResponse(strategy, saved.id, aiResponse.content)
+        : null;
+    summaryService.schedule(conversation.id, plan);
+
+    return { aiResponse, saved, strategyVersion };
+}
+
+// Modelo escolhido precisa estar no plano e o usuário precisa ter créditos.
+// Retorna { status, body } quando a requisição deve ser recusada
+async function checkAccess(userId, plan, provider) {
+    if (provider && !providerRegistry.listForPlan(plan).some(config => config.id === provider)) {
+        return { status: 403, body: { error: 'Modelo não disponível para o seu plano', provider } };
+    }
+
+    if (userId && !(await hasCredits(userId))) {
+        return { status: 402, body: { error: 'Créditos insuficientes', credits: 0 } };
+    }
+
+    return null;
+}
+
+// Documentos só podem ser anexados por usuários autenticados e precisam ser deles.
+// Retorna { status, error } quando a requisição deve ser recusada
+async function checkDocuments(userId, documentIds) {
+    if (documentIds.length === 0) {
+        return null;
+    }
+    if (!userId) {
+        return { status: 401, error: 'Usuário não autenticado' };
+    }
+
+    const owned = await documentService.findOwned(userId, documentIds);
+    if (owned.length !== new Set(documentIds).size) {
+        return { status: 404, error: 'Documento não encontrado' };
+    }
+    return null;
+}
+
+// Busca (ou cria) a conversa, carrega o histórico do ramo ativo e salva a mensagem do usuário
+// no fim dele. Retorna { conversation, conversationHistory, summary, userMessageId }
+async function prepareConversation(userId, conversationId, message, mode) {
+    let conversation;
+    if (conversationId && userId) {
+        conversation = await database.get(
+            'SELECT * FROM conversations WHERE id = ? AND user_id = ?',
+            [conversationId, userId]
+        );
+    }
+
+    if (!conversation && userId) {
+        // Criar nova conversa
+        const title = message.length > 50 ? message.substring(0, 50) + '...' : message;
+        const result = await database.run(
+            'INSERT INTO conversations (user_id, title, mode) VALUES (?, ?, ?)',
+            [userId, title, mode]
+        );
+        
+        conversation = {
+            id: result.id,
+            user_id: userId,
+            title,
+            mode,
+            active_message_id: null
+        };
+    }
+
+    if (!conversation) {
+        return { conversation: null, conversationHistory: [], summary: null, userMessageId: null };
+    }
+
+    // Histórico do ramo ativo (o que já está no resumo fica de fora)
+    const { history, summary } = await messageTreeService.history(conversation);
+
+    // Salvar mensagem do usuário
+    const saved = await messageTreeService.append(conversation.id, conversation.active_message_id, {
+        role: 'user',
+        content: message
+    });
+    memoryService.index(saved.id, userId, message);
+
+    return { conversation, conversationHistory: history, summary, userMessageId: saved.id };
+}
+
+// Grava a resposta como filha da pergunta (parentId) e a torna a ponta do ramo ativo
+async function saveAssistantMessage(conversationId, parentId, aiResponse, userId = null) {
+    const result = await messageTreeService.append(conversationId, parentId, {
+        role: 'assistant',
+        content: aiResponse.content,
+        tokens_used: aiResponse.tokensUsed,
+        input_tokens: aiResponse.usage.inputTokens,
+        output_tokens: aiResponse.usage.outputTokens,
+        cost: aiResponse.cost,
+        credits_charged: aiResponse.creditsCharged,
+        model_used: aiResponse.model,
+        provider_used: aiResponse.provider,
+        failover: aiResponse.failover ? 1 : 0,
+        routing_rule_id: aiResponse.routing?.ruleId || null,
+        routing_variant: aiResponse.routing?.variant || null,
+        prompt_version_id: aiResponse.promptVersionId || null,
+        mode: aiResponse.mode,
+        market_snapshot: aiResponse.marketSnapshot ? JSON.stringify(aiResponse.marketSnapshot) : null
+    });
+
+    for (const call of aiResponse.toolCalls || []) {
+        await database.run(
+            'INSERT INTO message_tool_calls (message_id, tool_name, arguments, result) VALUES (?, ?, ?, ?)',
+            [result.id, call.name, JSON.stringify(call.arguments), JSON.stringify(call.result)]
+        );
+    }
+
+    if (aiResponse.compliance) {
+        await complianceService.attachMessage(aiResponse.compliance.logId, result.id);
+    }
+
+    await knowledgeService.linkMessage(result.id, aiResponse.knowledgeIds || [], aiResponse.sources || []);
+    if (userId) {
+        memoryService.index(result.id, userId, aiResponse.content);
+    }
+
+    if (aiResponse.tradeSetup) {
+        const setup = await tradeSetupService.save(result.id, userId, conversationId, aiResponse.tradeSetup);
+        aiResponse.tradeSetup.id = setup.id;
+    }
+
+    return result;
+}
+
+// Campos da resposta da IA devolvidos ao cliente (JSON e evento done do streaming)
+function responseFields(aiResponse) {
+    return {
+        credits: aiResponse.creditsRemaining,
+        creditsCharged: aiResponse.creditsCharged,
+        cost: aiResponse.cost,
+        usage: aiResponse.usage,
+        tokensUsed: aiResponse.tokensUsed,
+        model: aiResponse.model,
+        provider: aiResponse.provider,
+        failover: aiResponse.failover,
+        tradeSetup: aiResponse.tradeSetup,
+        codeValidation: aiResponse.codeValidation,
+        compliance: aiResponse.compliance?.action || null,
+        sources: aiResponse.sources,
+        documents: aiResponse.documents,
+        memories: aiResponse.memories,
+        marketSnapshot: aiResponse.marketSnapshot
+    };
+}
+
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // compression() acumula o corpo; forçar envio imediato de cada evento
+    if (res.flush) {
+        res.flush();
+    }
+}
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,140 @@
+const express = require('express');
+const multer = require('multer');
+const { authenticateToken } = require('../middleware/auth');
+const documentService = require('../services/documentService');
+const { UnsupportedDocumentError } = require('../services/errors');
+
+const router = express.Router();
+
+// Limite por arquivo; o total por usuário é a cota do plano (documentStorageMb em config/billing.json)
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+
+// O arquivo fica só em memória: o texto é extraído e o original descartado
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_BYTES, files: 1 }
+});
+
+router.use(authenticateToken);
+
+// Listar documentos e uso da cota
+router.get('/', async (req, res) => {
+    try {
+        const documents = await documentService.list(req.user.id);
+        const usage = await documentService.usage(req.user.id, req.user.plan);
+
+        res.json({ documents, usage });
+
+    } catch (error) {
+        console.error('Erro ao listar documentos:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Enviar documento (multipart, campo "file"): PDF, CSV ou texto
+router.post('/', (req, res, next) => {
+    upload.single('file')(req, res, error => {
+        if (error instanceof multer.MulterError) {
+            return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+                error: error.code === 'LIMIT_FILE_SIZE'
+                    ? `Arquivo maior que o limite de ${MAX_FILE_BYTES / 1024 / 1024} MB`
+                    : 'Envio inválido: use o campo "file" com um único arquivo'
+            });
+        }
+        next(error);
+    });
+}, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                error: 'Nenhum arquivo enviado'
+            });
+        }
+
+        const usage = await documentService.usage(req.user.id, req.user.plan);
+        if (usage.usedBytes + req.file.size > usage.quotaBytes) {
+            return res.status(413).json({
+                error: 'Cota de armazenamento de documentos do plano excedida',
+                usage
+            });
+        }
+
+        // multer entrega o nome em latin1; nomes com acento chegam em UTF-8
+        const filename = Buffer.from(req.file.originalname, 'latin1').toString('utf8');
+
+        const document = await documentService.create(req.user.id, {
+            filename,
+            mimeType: req.file.mimetype,
+            buffer: req.file.buffer
+        });
+
+        res.status(201).json({
+            document,
+            usage: await documentService.usage(req.user.id, req.user.plan)
+        });
+
+    } catch (error) {
+        if (error instanceof UnsupportedDocumentError) {
+            return res.status(error.statusCode).json({
+                error: error.message
+            });
+        }
+
+        console.error('Erro ao enviar documento:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Documento com o texto extraído (trechos indexados)
+router.get('/:id', async (req, res) => {
+    try {
+        const document = await documentService.get(req.params.id, req.user.id);
+        if (!document) {
+            return res.status(404).json({
+                error: 'Documento não encontrado'
+            });
+        }
+
+        res.json({
+            document,
+            chunks: await documentService.chunks(document.id)
+        });
+
+    } catch (error) {
+        console.error('Erro ao buscar documento:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Remove o documento, o índice e os anexos nas conversas
+router.delete('/:id', async (req, res) => {
+    try {
+        const document = await documentService.get(req.params.id, req.user.id);
+        if (!document) {
+            return res.status(404).json({
+                error: 'Documento não encontrado'
+            });
+        }
+
+        await documentService.remove(document.id);
+
+        res.json({
+            message: 'Documento removido com sucesso',
+            usage: await documentService.usage(req.user.id, req.user.plan)
+        });
+
+    } catch (error) {
+        console.error('Erro ao remover documento:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+module.exports = router;
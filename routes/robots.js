@@ -0,0 +1,470 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken, checkCredits } = require('../middleware/auth');
+const aiService = require('../services/aiService');
+const robotService = require('../services/robotService');
+const { LANGUAGE_IDS, getLanguage } = require('../services/robotLanguages');
+const { diffLines, formatUnified } = require('../services/textDiff');
+const { AIUnavailableError } = require('../services/errors');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Código vem direto no corpo ou de um bloco de uma resposta da IA (messageId + blockIndex)
+const codeSourceValidation = [
+    body('code').optional().isString().isLength({ min: 1, max: 100000 }),
+    body('messageId').optional().isInt(),
+    body('blockIndex').optional().isInt({ min: 1 }),
+    body('inputs').optional().isArray(),
+    body('inputs.*.name').optional().isString(),
+    body('inputs.*.description').optional({ nullable: true }).isString().isLength({ max: 300 }),
+    body('notes').optional().trim().isLength({ max: 500 })
+];
+
+async function resolveCode(req, language) {
+    if (req.body.code) {
+        return req.body.code;
+    }
+    if (req.body.messageId) {
+        return robotService.getCodeFromMessage(req.body.messageId, req.user.id, req.body.blockIndex || 1, language);
+    }
+    return null;
+}
+
+// Versão com o relatório do validador da linguagem da estratégia
+function withValidation(version) {
+    return { ...version, validation: getLanguage(version.language).validate(version.code) };
+}
+
+// Carrega a estratégia do usuário ou responde 404
+async function loadStrategy(req, res) {
+    const strategy = await robotService.getStrategy(req.params.id, req.user.id);
+    if (!strategy) {
+        res.status(404).json({
+            error: 'Estratégia não encontrada'
+        });
+    }
+    return strategy;
+}
+
+// Listar estratégias do usuário
+router.get('/', async (req, res) => {
+    try {
+        const strategies = await robotService.list(req.user.id);
+
+        res.json({ strategies });
+
+    } catch (error) {
+        console.error('Erro ao listar estratégias:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Salvar nova estratégia
+router.post('/', [
+    body('name').trim().isLength({ min: 1, max: 100 }),
+    body('description').optional().trim().isLength({ max: 1000 }),
+    body('language').optional().isIn(LANGUAGE_IDS),
+    ...codeSourceValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
+        }
+
+        const { name, description, language = 'ntfl', inputs, notes, messageId } = req.body;
+
+        const code = await resolveCode(req, language);
+        if (!code) {
+            return res.status(400).json({
+                error: 'Informe o código ou uma mensagem da IA com bloco de código'
+            });
+        }
+
+        const strategy = await robotService.create(req.user.id, {
+            name,
+            description,
+            language,
+            code,
+            inputs,
+            notes,
+            sourceMessageId: messageId || null
+        });
+        const version = await robotService.getVersion(strategy.id);
+
+        res.status(201).json({
+            strategy,
+            version: withValidation(version)
+        });
+
+    } catch (error) {
+        console.error('Erro ao salvar estratégia:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Detalhes: estratégia, histórico de versões e a última versão com código
+router.get('/:id', async (req, res) => {
+    try {
+        const strategy = await loadStrategy(req, res);
+        if (!strategy) {
+            return;
+        }
+
+        const versions = await robotService.listVersions(strategy.id);
+        const latest = await robotService.getVersion(strategy.id);
+
+        res.json({
+            strategy,
+            versions,
+            latest: withValidation(latest)
+        });
+
+    } catch (error) {
+        console.error('Erro ao buscar estratégia:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Renomear / alterar descrição
+router.put('/:id', [
+    body('name').optional().trim().isLength({ min: 1, max: 100 }),
+    body('description').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
+        }
+
+        const strategy = await loadStrategy(req, res);
+        if (!strategy) {
+            return;
+        }
+
+        await robotService.update(strategy.id, req.body);
+
+        res.json({
+            strategy: await robotService.getStrategy(strategy.id, req.user.id)
+        });
+
+    } catch (error) {
+        console.error('Erro ao atualizar estratégia:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        const strategy = await loadStrategy(req, res);
+        if (!strategy) {
+            return;
+        }
+
+        await robotService.remove(strategy.id);
+
+        res.json({
+            message: 'Estratégia removida com sucesso'
+        });
+
+    } catch (error) {
+        console.error('Erro ao remover estratégia:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Nova versão (código editado ou resposta da IA)
+router.post('/:id/versions', codeSourceValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
+        }
+
+        const strategy = await loadStrategy(req, res);
+        if (!strategy) {
+            return;
+        }
+
+        const code = await resolveCode(req, strategy.language);
+        if (!code) {
+            return res.status(400).json({
+                error: 'Informe o código ou uma mensagem da IA com bloco de código'
+            });
+        }
+
+        // Sem anotações novas, mantém as da versão anterior para os inputs que continuam no código
+        const previous = await robotService.getVersion(strategy.id);
+        const created = await robotService.addVersion(strategy.id, {
+            code,
+            inputs: req.body.inputs || (previous && robotService.inheritedTags(previous)),
+            notes: req.body.notes,
+            sourceMessageId: req.body.messageId || null
+        });
+        const version = await robotService.getVersion(strategy.id, created.version);
+
+        res.status(201).json({
+            version: withValidation(version)
+        });
+
+    } catch (error) {
+        console.error('Erro ao salvar versão:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Diff entre duas versões (padrão: penúltima -> última)
+router.get('/:id/diff', [
+    query('from').optional().isInt({ min: 1 }),
+    query('to').optional().isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
+        }
+
+        const strategy = await loadStrategy(req, res);
+        if (!strategy) {
+            return;
+        }
+
+        const to = await robotService.getVersion(strategy.id, parseInt(req.query.to) || null);
+        const from = to && await robotService.getVersion(strategy.id, parseInt(req.query.from) || Math.max(to.version - 1, 1));
+
+        if (!from || !to) {
+            return res.status(404).json({
+                error: 'Versão não encontrada'
+            });
+        }
+
+        const changes = diffLines(from.code, to.code);
+
+        res.json({
+            from: from.version,
+            to: to.version,
+            added: changes.filter(change => change.type === 'added').length,
+            removed: changes.filter(change => change.type === 'removed').length,
+            changes,
+            unified: formatUnified(changes, `v${from.version}`, `v${to.version}`)
+        });
+
+    } catch (error) {
+        console.error('Erro ao comparar versões:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+router.get('/:id/versions/:version', async (req, res) => {
+    try {
+        const strategy = await loadStrategy(req, res);
+        if (!strategy) {
+            return;
+        }
+
+        const version = await robotService.getVersion(strategy.id, req.params.version);
+        if (!version) {
+            return res.status(404).json({
+                error: 'Versão não encontrada'
+            });
+        }
+
+        res.json({
+            version: withValidation(version)
+        });
+
+    } catch (error) {
+        console.error('Erro ao buscar versão:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Anotar inputs da versão (descrição e valor padrão usado na exportação)
+router.put('/:id/versions/:version/inputs', [
+    body('inputs').isArray({ min: 1 }),
+    body('inputs.*.name').isString(),
+    body('inputs.*.description').optional({ nullable: true }).isString().isLength({ max: 300 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
+        }
+
+        const strategy = await loadStrategy(req, res);
+        if (!strategy) {
+            return;
+        }
+
+        const version = await robotService.getVersion(strategy.id, req.params.version);
+        if (!version) {
+            return res.status(404).json({
+                error: 'Versão não encontrada'
+            });
+        }
+
+        const inputs = await robotService.updateInputs(version.id, req.body.inputs);
+
+        res.json({ inputs });
+
+    } catch (error) {
+        console.error('Erro ao atualizar inputs:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Download do arquivo (.ntsl para o Profit, .mq5 para o MetaTrader 5)
+router.get('/:id/download', [
+    query('version').optional().isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const strategy = await loadStrategy(req, res);
+        if (!strategy) {
+            return;
+        }
+
+        const version = await robotService.getVersion(strategy.id, parseInt(req.query.version) || null);
+        if (!version) {
+            return res.status(404).json({
+                error: 'Versão não encontrada'
+            });
+        }
+
+        const code = robotService.applyInputDefaults(version.code, version.inputs, version.language);
+
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        res.setHeader(
+            'Content-Disposition',
+            `attachment; filename="${robotService.fileName(strategy.name, version.version, strategy.language)}"`
+        );
+        res.send(code.endsWith('\n') ? code : `${code}\n`);
+
+    } catch (error) {
+        console.error('Erro ao exportar estratégia:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Traduz uma versão para a outra linguagem (NTFL <-> MQL5) com a IA do modo robot.
+// O resultado é salvo como nova estratégia vinculada à original (source_strategy_id)
+router.post('/:id/translate', [
+    checkCredits(),
+    body('to').optional().isIn(LANGUAGE_IDS),
+    body('version').optional().isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Dados inválidos',
+                details: errors.array()
+            });
+        }
+
+        const strategy = await loadStrategy(req, res);
+        if (!strategy) {
+            return;
+        }
+
+        const to = req.body.to || LANGUAGE_IDS.find(id => id !== strategy.language);
+        if (to === strategy.language) {
+            return res.status(400).json({
+                error: `A estratégia já está em ${getLanguage(to).label}`
+            });
+        }
+
+        const version = await robotService.getVersion(strategy.id, req.body.version || null);
+        if (!version) {
+            return res.status(404).json({
+                error: 'Versão não encontrada'
+            });
+        }
+
+        const aiResponse = await aiService.generateResponse(
+            robotService.translationPrompt(strategy, version, to),
+            'robot',
+            req.user.id,
+            [],
+            { plan: req.user.plan, language: to }
+        );
+
+        const [block] = getLanguage(to).extractBlocks(aiResponse.content);
+        if (!block) {
+            return res.status(502).json({
+                error: 'A IA não retornou código na linguagem de destino. Tente novamente.',
+                explanation: aiResponse.content
+            });
+        }
+
+        const translated = await robotService.create(req.user.id, {
+            name: `${strategy.name} (${getLanguage(to).label})`,
+            description: strategy.description,
+            language: to,
+            code: block.code.trim(),
+            inputs: robotService.inheritedTags(version),
+            notes: `Traduzida de ${getLanguage(strategy.language).label} (versão ${version.version})`,
+            sourceStrategyId: strategy.id
+        });
+
+        res.status(201).json({
+            strategy: translated,
+            version: withValidation(await robotService.getVersion(translated.id)),
+            explanation: aiResponse.content,
+            provider: aiResponse.provider,
+            creditsCharged: aiResponse.creditsCharged,
+            creditsRemaining: aiResponse.creditsRemaining
+        });
+
+    } catch (error) {
+        if (error instanceof AIUnavailableError) {
+            console.error('Nenhum provedor de IA disponível:', error.attempts);
+            return res.status(error.statusCode).json({
+                error: 'Serviço de IA indisponível no momento. Tente novamente em alguns minutos. Nenhum crédito foi consumido.'
+            });
+        }
+
+        console.error('Erro ao traduzir estratégia:', error);
+        res.status(500).json({
+            error: 'Erro interno do servidor'
+        });
+    }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const database = require('../database/init');
 const { authenticateToken } = require('../middleware/auth');
+const profileService = require('../services/profileService');
 
 const router = express.Router();
 
@@ -10,7 +11,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
     try {
         const user = await database.get(
             `SELECT u.id, u.email, u.name, u.plan, u.credits, u.created_at, u.updated_at,
-                    s.preferred_assets, s.risk_tolerance, s.trading_style, s.notifications_enabled, s.theme
+                    s.preferred_assets, s.risk_tolerance, s.trading_style, s.notifications_enabled, s.theme, s.facts
              FROM users u
              LEFT JOIN user_settings s ON s.user_id = u.id
              WHERE u.id = ?`,
@@ -32,8 +33,13 @@ router.get('/profile', authenticateToken, async (req, res) => {
             }
         }
 
+        // Fatos livres do perfil (capital, corretora, perda diária máxima...) e os limites de risco derivados
+        user.facts = profileService.parseJson(user.facts, {});
+        const sizing = profileService.sizing({ riskTolerance: user.risk_tolerance, facts: user.facts });
+
         res.json({
-            user
+            user,
+            sizing
         });
 
     } catch (error) {
@@ -52,7 +58,8 @@ router.put('/profile', [
     body('risk_tolerance').optional().isIn(['low', 'medium', 'high']),
     body('trading_style').optional().isIn(['day_trade', 'swing_trade', 'position_trade']),
     body('notifications_enabled').optional().isBoolean(),
-    body('theme').optional().isIn(['light', 'dark'])
+    body('theme').optional().isIn(['light', 'dark']),
+    body('facts').optional().isObject().withMessage('facts deve ser um objeto { nome: valor }; valor null remove o fato')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -63,7 +70,21 @@ router.put('/profile', [
             });
         }
 
-        const { name, preferred_assets, risk_tolerance, trading_style, notifications_enabled, theme } = req.body;
+        const { name, preferred_assets, risk_tolerance, trading_style, notifications_enabled, theme, facts } = req.body;
+
+        // Fatos são mesclados com os atuais; validados antes de qualquer alteração
+        let mergedFacts = null;
+        if (facts !== undefined) {
+            const current = await database.get('SELECT facts FROM user_settings WHERE user_id = ?', [req.user.id]);
+            const merged = profileService.mergeFacts(profileService.parseJson(current?.facts, {}), facts);
+            if (merged.errors.length > 0) {
+                return res.status(400).json({
+                    error: 'Dados inválidos',
+                    details: merged.errors.map(msg => ({ path: 'facts', msg }))
+                });
+            }
+            mergedFacts = merged.facts;
+        }
 
         // Atualizar dados básicos do usuário
         if (name) {
@@ -102,6 +123,11 @@ router.put('/profile', [
             settingsValues.push(theme);
         }
 
+        if (mergedFacts) {
+            settingsUpdates.push('facts = ?');
+            settingsValues.push(JSON.stringify(mergedFacts));
+        }
+
         if (settingsUpdates.length > 0) {
             settingsValues.push(req.user.id);
             await database.run(
@@ -170,7 +196,8 @@ router.get('/analytics', authenticateToken, async (req, res) => {
                 COUNT(DISTINCT c.id) as totalConversations,
                 COUNT(CASE WHEN m.role = 'user' THEN 1 END) as totalMessages,
                 SUM(m.tokens_used) as totalTokens,
-                (5 - u.credits) as creditsUsed
+                SUM(m.cost) as totalCost,
+                SUM(m.credits_charged) as creditsUsed
              FROM users u
              LEFT JOIN conversations c ON c.user_id = u.id
              LEFT JOIN messages m ON m.conversation_id = c.id
@@ -203,25 +230,51 @@ router.get('/analytics', authenticateToken, async (req, res) => {
             [req.user.id]
         );
 
-        // Modelos de IA mais usados
+        // Modelos de IA mais usados, com custo total e médio por mensagem
         const modelUsage = await database.all(
             `SELECT 
+                m.provider_used,
                 m.model_used,
                 COUNT(*) as usage_count,
-                SUM(m.tokens_used) as total_tokens
+                SUM(m.tokens_used) as total_tokens,
+                SUM(m.input_tokens) as input_tokens,
+                SUM(m.output_tokens) as output_tokens,
+                SUM(m.cost) as total_cost,
+                AVG(m.cost) as avg_cost_per_message,
+                SUM(m.credits_charged) as credits_charged
              FROM messages m
              JOIN conversations c ON c.id = m.conversation_id
              WHERE c.user_id = ? AND m.model_used IS NOT NULL
-             GROUP BY m.model_used
+             GROUP BY m.provider_used, m.model_used
              ORDER BY usage_count DESC`,
             [req.user.id]
         );
 
+        // Custo das respostas mais recentes
+        const recentCosts = await database.all(
+            `SELECT 
+                m.id as message_id,
+                m.conversation_id,
+                m.model_used,
+                m.input_tokens,
+                m.output_tokens,
+                m.cost,
+                m.credits_charged,
+                m.created_at
+             FROM messages m
+             JOIN conversations c ON c.id = m.conversation_id
+             WHERE c.user_id = ? AND m.role = 'assistant'
+             ORDER BY m.created_at DESC, m.id DESC
+             LIMIT 20`,
+            [req.user.id]
+        );
+
         res.json({
             general: generalStats,
             byMode: modeStats,
             recentActivity,
-            modelUsage
+            modelUsage,
+            recentCosts
         });
 
     } catch (error) {
@@ -238,7 +291,32 @@ router.delete('/account', authenticateToken, async (req, res) => {
         const userId = req.user.id;
 
         // Deletar em cascata (devido às foreign keys)
+        await database.run('DELETE FROM trade_setups WHERE user_id = ?', [userId]);
+        await database.run('DELETE FROM message_feedback WHERE user_id = ?', [userId]);
+        await database.run(
+            'DELETE FROM robot_strategy_versions WHERE strategy_id IN (SELECT id FROM robot_strategies WHERE user_id = ?)',
+            [userId]
+        );
+        await database.run('DELETE FROM robot_strategies WHERE user_id = ?', [userId]);
+        await database.run(
+            `DELETE FROM message_tool_calls WHERE message_id IN (
+                SELECT m.id FROM messages m JOIN conversations c ON c.id = m.conversation_id WHERE c.user_id = ?
+            )`,
+            [userId]
+        );
+        await database.run(
+            `DELETE FROM message_knowledge WHERE message_id IN (
+                SELECT m.id FROM messages m JOIN conversations c ON c.id = m.conversation_id WHERE c.user_id = ?
+            )`,
+            [userId]
+        );
+        await database.run('DELETE FROM embeddings WHERE user_id = ?', [userId]);
+        await database.run('DELETE FROM conversation_documents WHERE document_id IN (SELECT id FROM user_documents WHERE user_id = ?)', [userId]);
+        await database.run('DELETE FROM document_chunks WHERE document_id IN (SELECT id FROM user_documents WHERE user_id = ?)', [userId]);
+        await database.run('DELETE FROM user_documents WHERE user_id = ?', [userId]);
         await database.run('DELETE FROM messages WHERE conversation_id IN (SELECT id FROM conversations WHERE user_id = ?)', [userId]);
+        await database.run('DELETE FROM conversation_tags WHERE conversation_id IN (SELECT id FROM conversations WHERE user_id = ?)', [userId]);
+        await database.run('DELETE FROM conversation_folders WHERE user_id = ?', [userId]);
         await database.run('DELETE FROM conversations WHERE user_id = ?', [userId]);
         await database.run('DELETE FROM transactions WHERE user_id = ?', [userId]);
         await database.run('DELETE FROM user_settings WHERE user_id = ?', [userId]);
@@ -12,6 +12,9 @@ const chatRoutes = require('./routes/chat');
 const paymentRoutes = require('./routes/payments');
 const userRoutes = require('./routes/user');
 const marketRoutes = require('./routes/market');
+const adminRoutes = require('./routes/admin');
+const robotRoutes = require('./routes/robots');
+const documentRoutes = require('./routes/documents');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -64,6 +67,9 @@ app.use('/api/chat', chatLimiter, chatRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/market', marketRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/robots', robotRoutes);
+app.use('/api/documents', documentRoutes);
 
 // Rota principal
 app.get('/', (req, res) => {
@@ -93,8 +99,18 @@ app.use((req, res) => {
 
 // Inicializar banco de dados
 const Database = require('./database/init');
+const embeddingService = require('./services/embeddingService');
 Database.init().then(() => {
     console.log('📊 Banco de dados inicializado com sucesso');
+
+    // Vetores da busca semântica que faltam (banco antigo ou troca de embedder), em segundo plano
+    embeddingService.backfill()
+        .then(indexed => {
+            if (indexed.knowledge + indexed.message > 0) {
+                console.log('🧭 Embeddings indexados:', indexed);
+            }
+        })
+        .catch(err => console.error('Erro ao indexar embeddings:', err));
     
     app.listen(PORT, () => {
         console.log(`🚀 Servidor rodando na porta ${PORT}`);
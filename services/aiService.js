@@ -1,334 +1,859 @@
-const axios = require('axios');
 const database = require('../database/init');
+const CircuitBreaker = require('./circuitBreaker');
+const { AIUnavailableError } = require('./errors');
+const marketTools = require('./marketTools');
+const providerRegistry = require('./providerRegistry');
+const adapters = require('./providers');
+const billingService = require('./billingService');
+const routingService = require('./routingService');
+const promptService = require('./promptService');
+const tradeSetupService = require('./tradeSetupService');
+const complianceService = require('./complianceService');
+const robotService = require('./robotService');
+const { getLanguage } = require('./robotLanguages');
+const knowledgeService = require('./knowledgeService');
+const documentService = require('./documentService');
+const memoryService = require('./memoryService');
+const profileService = require('./profileService');
+const marketSnapshotService = require('./marketSnapshotService');
 
 class AIService {
     constructor() {
-        this.providers = {
-            openai: {
-                url: 'https://api.openai.com/v1/chat/completions',
-                model: 'gpt-4-turbo-preview',
-                maxTokens: 4000
-            },
-            claude: {
-                url: 'https://api.anthropic.com/v1/messages',
-                model: 'claude-3-sonnet-20240229',
-                maxTokens: 4000
-            },
-            deepseek: {
-                url: 'https://api.deepseek.com/v1/chat/completions',
-                model: 'deepseek-chat',
-                maxTokens: 4000
-            }
+        // Retry com backoff exponencial para 429/5xx
+        this.retryPolicy = {
+            maxRetries: 2,
+            baseDelayMs: 500,
+            maxDelayMs: 8000
         };
 
-        this.financialPrompts = {
-            consulta: `Você é um analista financeiro especializado no mercado brasileiro. 
-            Forneça análises técnicas e fundamentalistas precisas, sempre baseadas em dados reais quando possível.
-            Use termos técnicos adequados e seja específico em suas recomendações.
-            Sempre inclua disclaimers sobre riscos de investimento.`,
-
-            daytrade: `Você é um especialista em day trade focado nos futuros da B3 (WINFUT, INDFUT, DOLFUT, WDOFUT, BITFUT).
-            Forneça análises técnicas específicas com pontos de entrada, stop loss e alvos.
-            Considere volume, padrões de candlestick e indicadores técnicos.
-            Seja preciso com níveis de preço e sempre mencione o gerenciamento de risco.`,
-
-            portfolio: `Você é um consultor de investimentos especializado em otimização de portfólios.
-            Analise diversificação, correlações entre ativos e perfil de risco.
-            Forneça recomendações de alocação baseadas em teoria moderna de portfólio.
-            Considere o cenário macroeconômico brasileiro e global.`,
-
-            robot: `Você é um programador especializado em desenvolvimento de robôs de trading para a plataforma Nelogica.
-            Use a linguagem NTFL (Nelogica Trading Formula Language).
-            Forneça código limpo, comentado e testável.
-            Inclua explicações sobre a lógica da estratégia e parâmetros de configuração.`
-        };
+        // Máximo de rodadas de chamadas de ferramentas antes de exigir a resposta final
+        this.maxToolRounds = 4;
+
+        // Pedidos de correção quando o setup estruturado vem inválido
+        this.maxSetupRepairs = 1;
+
+        // Pedidos de correção quando o código do modo robot (NTFL ou MQL5) tem erros
+        this.maxCodeRepairs = 1;
+
+        this.circuitBreaker = new CircuitBreaker({
+            failureThreshold: 3,
+            cooldownMs: 60 * 1000
+        });
     }
 
-    async generateResponse(message, mode = 'consulta', userId = null, conversationHistory = []) {
-        try {
-            // Buscar conhecimento relevante no banco de dados
-            const relevantKnowledge = await this.searchKnowledge(message, mode);
-            
-            // Construir contexto
-            const context = await this.buildContext(message, mode, relevantKnowledge, conversationHistory);
-            
-            // Selecionar provedor de IA baseado na complexidade
-            const provider = this.selectProvider(message, mode);
-            
-            // Gerar resposta
-            const response = await this.callAIProvider(provider, context);
-            
-            // Registrar uso se houver usuário
-            if (userId) {
-                await this.logUsage(userId, provider, response.tokensUsed || 100);
+    // options.plan restringe os provedores disponíveis; options.provider força o primeiro da cadeia;
+    // options.conversationId fixa a variante de testes A/B das regras de roteamento;
+    // options.structured (modo daytrade) pede o setup de trade em JSON junto da análise;
+    // options.strategy (biblioteca de robôs) entra no contexto para ser modificada pela IA;
+    // O perfil de trading do usuário (user_settings) orienta a resposta e limita o tamanho das posições;
+    // options.summary (resumo da conversa) vem antes dos turnos recentes do histórico;
+    // ativos citados na mensagem trazem um instantâneo de mercado (cotação, intraday, indicadores),
+    // devolvido em marketSnapshot para ser gravado com a resposta;
+    // options.language (modo robot) escolhe a linguagem-alvo: ntfl (padrão) ou mql5;
+    // documentos anexados à conversa (options.conversationId) entram como trechos recuperados
+    // e mensagens de outras conversas do usuário, como memória
+    async generateResponse(message, mode = 'consulta', userId = null, conversationHistory = [], options = {}) {
+        // Buscar conhecimento relevante no banco de dados
+        const relevantKnowledge = await this.searchKnowledge(message, mode);
+        const documentChunks = await this.searchDocuments(message, userId, options.conversationId);
+        const memories = await this.searchMemory(message, userId, options.conversationId);
+        const profile = await this.loadProfile(userId);
+        const marketSnapshot = await this.captureMarket(message);
+        const prompt = await promptService.getActivePrompt(this.promptMode(mode, options), options.plan);
+        const structured = Boolean(options.structured) && mode === 'daytrade';
+        const systemPrompt = this.composeSystemPrompt(prompt, structured, options, {
+            documentChunks, memories, profile, marketSnapshot
+        });
+        
+        // Selecionar provedor de IA pelas regras de roteamento
+        const route = await this.selectProvider(message, mode, options);
+        const primary = route.provider;
+        const attempts = [];
+
+        for (const provider of this.getProviderChain(primary, mode, options.plan)) {
+            if (!this.circuitBreaker.canRequest(provider)) {
+                attempts.push({ provider, error: 'circuit_open' });
+                continue;
             }
-            
+
+            // Contexto montado por provedor: o orçamento de histórico depende da janela de contexto
+            const context = await this.buildContext(message, systemPrompt, relevantKnowledge, conversationHistory, provider);
+
+            // Só falhas do provedor contam para o circuit breaker e acionam o failover; erros no
+            // pós-processamento (setup, conformidade, cobrança) são repassados sem gerar a resposta de novo
+            let response;
+            try {
+                response = await this.runToolLoop(provider, context);
+            } catch (error) {
+                this.circuitBreaker.recordFailure(provider);
+                attempts.push({ provider, error: this.describeError(error) });
+                console.error(`Erro no provedor ${provider}:`, this.describeError(error));
+                continue;
+            }
+
+            this.circuitBreaker.recordSuccess(provider);
+
+            if (provider !== primary) {
+                console.warn(`Failover: ${primary} -> ${provider}`, attempts);
+            }
+
+            let tradeSetup = structured ? await this.resolveTradeSetup(provider, context, response) : null;
+            const codeValidation = mode === 'robot' ? await this.resolveCodeValidation(provider, context, response, options.language) : null;
+
+            const compliance = await this.applyCompliance(provider, context, response, {
+                mode, plan: options.plan, userId, conversationId: options.conversationId
+            });
+            if (compliance?.action === 'block') {
+                tradeSetup = null;
+            }
+
+            // Quantidade máxima de contratos pelo risco do perfil (calculada aqui, não pela IA)
+            if (tradeSetup && profile) {
+                tradeSetup.sizing = profileService.sizeSetup(profile, tradeSetup);
+            }
+
+            // Fontes citadas no texto final (após a conformidade)
+            const sources = knowledgeService.citedSources(response.content, relevantKnowledge);
+
+            // Calcular custo e cobrar créditos (se houver usuário)
+            const billing = await this.recordUsage(userId, provider, response.usage);
+
             return {
                 content: response.content,
                 provider: provider,
-                tokensUsed: response.tokensUsed || 100,
-                model: this.providers[provider].model
+                tokensUsed: response.usage.inputTokens + response.usage.outputTokens,
+                usage: response.usage,
+                model: providerRegistry.get(provider).model,
+                failover: provider !== primary,
+                toolCalls: response.toolCalls,
+                routing: route,
+                mode,
+                promptVersionId: prompt.id,
+                tradeSetup,
+                codeValidation,
+                compliance,
+                sources,
+                knowledgeIds: relevantKnowledge.map(item => item.id),
+                documents: this.documentReferences(documentChunks),
+                memories: memories.map(memory => ({ messageId: memory.id, conversationId: memory.conversation_id })),
+                marketSnapshot,
+                ...billing
             };
-            
-        } catch (error) {
-            console.error('Erro no serviço de IA:', error);
-            return this.getFallbackResponse(mode);
         }
+
+        throw new AIUnavailableError(attempts);
     }
 
-    async searchKnowledge(query, mode) {
-        try {
-            // Buscar conhecimento relevante baseado em palavras-chave
-            const keywords = this.extractKeywords(query);
-            const knowledge = await database.all(
-                `SELECT title, content, category, subcategory 
-                 FROM financial_knowledge 
-                 WHERE (title LIKE ? OR content LIKE ? OR tags LIKE ?)
-                 ORDER BY relevance_score DESC 
-                 LIMIT 5`,
-                [`%${keywords.join('%')}%`, `%${keywords.join('%')}%`, `%${keywords.join('%')}%`]
+    // Versão em streaming: emite deltas conforme o provedor gera a resposta.
+    // O failover só é possível antes do primeiro delta; depois disso o erro é repassado.
+    // Os deltas passam pelo filtro da conformidade: param de sair quando uma regra que reescreve ou
+    // bloqueia dispara (ou no bloco JSON do setup estruturado) e o evento done leva o texto final.
+    // Créditos só são consumidos quando o stream termina com sucesso.
+    async *generateResponseStream(message, mode = 'consulta', userId = null, conversationHistory = [], options = {}) {
+        const relevantKnowledge = await this.searchKnowledge(message, mode);
+        const documentChunks = await this.searchDocuments(message, userId, options.conversationId);
+        const memories = await this.searchMemory(message, userId, options.conversationId);
+        const profile = await this.loadProfile(userId);
+        const marketSnapshot = await this.captureMarket(message);
+        const prompt = await promptService.getActivePrompt(this.promptMode(mode, options), options.plan);
+        const structured = Boolean(options.structured) && mode === 'daytrade';
+        const systemPrompt = this.composeSystemPrompt(prompt, structured, options, {
+            documentChunks, memories, profile, marketSnapshot
+        });
+        const route = await this.selectProvider(message, mode, options);
+        const primary = route.provider;
+        const attempts = [];
+
+        for (const provider of this.getProviderChain(primary, mode, options.plan)) {
+            if (!this.circuitBreaker.canRequest(provider)) {
+                attempts.push({ provider, error: 'circuit_open' });
+                continue;
+            }
+
+            const context = await this.buildContext(message, systemPrompt, relevantKnowledge, conversationHistory, provider);
+
+            const guard = complianceService.streamGuard(
+                { mode, plan: options.plan || 'free' },
+                structured ? /```json/i : null
             );
-            
-            return knowledge;
-        } catch (error) {
-            console.error('Erro ao buscar conhecimento:', error);
-            return [];
+            let emitted = false;
+            let result = null;
+
+            try {
+                for await (const chunk of this.streamToolLoop(provider, context, options.signal)) {
+                    if (chunk.type === 'result') {
+                        result = chunk;
+                    } else if (chunk.type === 'delta') {
+                        const content = guard.push(chunk.content);
+                        if (content) {
+                            emitted = true;
+                            yield { type: 'delta', content };
+                        }
+                    } else {
+                        yield chunk;
+                    }
+                }
+            } catch (error) {
+                if (options.signal?.aborted) {
+                    throw error;
+                }
+
+                this.circuitBreaker.recordFailure(provider);
+                if (emitted) {
+                    throw error;
+                }
+
+                attempts.push({ provider, error: this.describeError(error) });
+                console.error(`Erro no provedor ${provider}:`, this.describeError(error));
+                continue;
+            }
+
+            if (!result.content) {
+                this.circuitBreaker.recordFailure(provider);
+                attempts.push({ provider, error: 'empty_response' });
+                continue;
+            }
+
+            this.circuitBreaker.recordSuccess(provider);
+
+            let tradeSetup = structured ? await this.resolveTradeSetup(provider, context, result) : null;
+            const codeValidation = mode === 'robot' ? await this.resolveCodeValidation(provider, context, result, options.language) : null;
+
+            // O evento done leva o texto final após a conformidade (substitui o que foi enviado nos deltas)
+            const compliance = await this.applyCompliance(provider, context, result, {
+                mode, plan: options.plan, userId, conversationId: options.conversationId
+            });
+            if (compliance?.action === 'block') {
+                tradeSetup = null;
+            }
+
+            if (tradeSetup && profile) {
+                tradeSetup.sizing = profileService.sizeSetup(profile, tradeSetup);
+            }
+
+            const sources = knowledgeService.citedSources(result.content, relevantKnowledge);
+            const billing = await this.recordUsage(userId, provider, result.usage);
+
+            yield {
+                type: 'done',
+                content: result.content,
+                provider,
+                tokensUsed: result.usage.inputTokens + result.usage.outputTokens,
+                usage: result.usage,
+                model: providerRegistry.get(provider).model,
+                failover: provider !== primary,
+                toolCalls: result.toolCalls,
+                routing: route,
+                mode,
+                promptVersionId: prompt.id,
+                tradeSetup,
+                codeValidation,
+                compliance,
+                sources,
+                knowledgeIds: relevantKnowledge.map(item => item.id),
+                documents: this.documentReferences(documentChunks),
+                memories: memories.map(memory => ({ messageId: memory.id, conversationId: memory.conversation_id })),
+                marketSnapshot,
+                ...billing
+            };
+            return;
         }
+
+        throw new AIUnavailableError(attempts);
     }
 
-    extractKeywords(text) {
-        // Lista de palavras-chave do mercado financeiro
-        const financialTerms = [
-            'WINFUT', 'INDFUT', 'DOLFUT', 'WDOFUT', 'BITFUT',
-            'bovespa', 'ibovespa', 'futuros', 'day trade', 'swing trade',
-            'scalping', 'breakout', 'support', 'resistance', 'macd',
-            'rsi', 'bollinger', 'fibonacci', 'candlestick', 'volume',
-            'análise técnica', 'análise fundamentalista'
-        ];
+    // Chamada auxiliar sem ferramentas nem pós-processamento (ex.: resumo de conversas),
+    // com a mesma cadeia de failover do modo. Não cobra créditos: retorna o custo para quem chamou
+    async complete(context, { mode = 'consulta', plan = 'free' } = {}) {
+        const route = await this.selectProvider('', mode, { plan });
+        const attempts = [];
 
-        const words = text.toLowerCase().split(/\s+/);
-        return words.filter(word => 
-            financialTerms.some(term => 
-                term.toLowerCase().includes(word) || word.includes(term.toLowerCase())
-            ) || word.length > 4
-        ).slice(0, 10);
-    }
+        for (const provider of this.getProviderChain(route.provider, mode, plan)) {
+            if (!this.circuitBreaker.canRequest(provider)) {
+                attempts.push({ provider, error: 'circuit_open' });
+                continue;
+            }
 
-    buildContext(message, mode, knowledge, history) {
-        let context = this.financialPrompts[mode] + '\n\n';
-        
-        // Adicionar conhecimento relevante
-        if (knowledge.length > 0) {
-            context += 'Conhecimento relevante:\n';
-            knowledge.forEach(item => {
-                context += `- ${item.title}: ${item.content}\n`;
-            });
-            context += '\n';
+            try {
+                const response = await this.withRetry(provider, () => this.callAIProvider(provider, context));
+                this.circuitBreaker.recordSuccess(provider);
+
+                return {
+                    content: response.content,
+                    provider,
+                    usage: response.usage,
+                    cost: billingService.computeCost(providerRegistry.get(provider), response.usage)
+                };
+            } catch (error) {
+                this.circuitBreaker.recordFailure(provider);
+                attempts.push({ provider, error: this.describeError(error) });
+                console.error(`Erro no provedor ${provider}:`, this.describeError(error));
+            }
         }
-        
-        // Adicionar histórico da conversa (últimas 5 mensagens)
-        if (history.length > 0) {
-            context += 'Contexto da conversa:\n';
-            const recentHistory = history.slice(-5);
-            recentHistory.forEach(msg => {
-                context += `${msg.role}: ${msg.content}\n`;
-            });
-            context += '\n';
+
+        throw new AIUnavailableError(attempts);
+    }
+
+    // Valida os blocos de código da linguagem-alvo e, havendo erros, pede ao mesmo provedor a
+    // resposta corrigida. A correção só substitui a original se não tiver mais erros que ela.
+    // Retorna o relatório do validador com attempts, ou null se a resposta não tem código.
+    async resolveCodeValidation(provider, context, response, language) {
+        const validator = getLanguage(language);
+        let report = validator.validateCodeBlocks(response.content);
+        let attempts = 1;
+
+        while (report && !report.valid && attempts <= this.maxCodeRepairs) {
+            const repairTurn = {
+                system: context.system,
+                messages: [
+                    ...context.messages,
+                    { role: 'assistant', content: response.content },
+                    { role: 'user', content: validator.repairPrompt(report) }
+                ]
+            };
+
+            try {
+                const repair = await this.withRetry(provider, () => this.callAIProvider(provider, repairTurn));
+                this.addUsage(response.usage, repair.usage, repairTurn, repair.content);
+                attempts++;
+
+                const repaired = validator.validateCodeBlocks(repair.content);
+                if (repaired && repaired.errorCount <= report.errorCount) {
+                    response.content = repair.content;
+                    report = repaired;
+                }
+            } catch (error) {
+                console.error(`Erro ao corrigir código com ${provider}:`, this.describeError(error));
+                break;
+            }
         }
-        
-        context += `Pergunta do usuário: ${message}\n\nResposta:`;
-        
-        return context;
+
+        return report ? { ...report, language: validator.id, attempts } : null;
     }
 
-    selectProvider(message, mode) {
-        // Lógica para selecionar o melhor provedor baseado no tipo de consulta
-        if (mode === 'robot' || message.toLowerCase().includes('código') || message.toLowerCase().includes('ntfl')) {
-            return 'openai'; // GPT-4 é melhor para código
+    // Passa a resposta pelas regras de conformidade: anexa o aviso padrão, reescreve com uma
+    // segunda chamada ao mesmo provedor ou bloqueia. Altera response.content/usage e registra
+    // a intervenção em compliance_logs. Retorna { action, rules, logId } ou null se nada mudou.
+    async applyCompliance(provider, context, response, { mode, plan = 'free', userId = null, conversationId = null }) {
+        const original = response.content;
+        let violations = complianceService.evaluate(original, { mode, plan });
+        if (violations.length === 0) {
+            return null;
         }
-        
-        if (mode === 'daytrade' || message.toLowerCase().includes('análise técnica')) {
-            return 'claude'; // Claude é bom para análises detalhadas
+
+        const rules = violations.map(rule => rule.id);
+        let action = complianceService.strongestAction(violations);
+
+        if (action === 'rewrite') {
+            const rewriteTurn = {
+                system: context.system,
+                messages: [{ role: 'user', content: complianceService.rewritePrompt(original, violations) }]
+            };
+
+            try {
+                const rewrite = await this.withRetry(provider, () => this.callAIProvider(provider, rewriteTurn));
+                this.addUsage(response.usage, rewrite.usage, rewriteTurn, rewrite.content);
+                response.content = rewrite.content;
+
+                // Reescrita que ainda viola algo além do aviso de risco é bloqueada
+                violations = complianceService.evaluate(response.content, { mode, plan });
+                if (violations.some(rule => rule.action !== 'append')) {
+                    action = 'block';
+                }
+            } catch (error) {
+                console.error(`Erro ao reescrever resposta com ${provider}:`, this.describeError(error));
+                action = 'block';
+            }
         }
-        
-        if (message.toLowerCase().includes('previsão') || message.toLowerCase().includes('tendência')) {
-            return 'deepseek'; // DeepSeek para raciocínio complexo
+
+        if (action === 'block') {
+            response.content = complianceService.blockMessage;
+        } else if (violations.some(rule => rule.action === 'append')) {
+            response.content = complianceService.appendDisclaimer(response.content);
         }
-        
-        // Default para GPT-4
-        return 'openai';
+
+        const logId = await complianceService.log({
+            userId,
+            conversationId,
+            provider,
+            mode,
+            plan,
+            rules,
+            action,
+            originalContent: original,
+            finalContent: response.content
+        });
+
+        return { action, rules, logId };
     }
 
-    async callAIProvider(provider, context) {
-        try {
-            if (provider === 'openai') {
-                return await this.callOpenAI(context);
-            } else if (provider === 'claude') {
-                return await this.callClaude(context);
-            } else if (provider === 'deepseek') {
-                return await this.callDeepSeek(context);
+    // Extrai o setup do fim da resposta e, se inválido, pede a correção ao mesmo provedor.
+    // Remove o bloco JSON de response.content e soma o uso das correções em response.usage.
+    // Retorna { ...setup, attempts } ou null (sem setup ou inválido após as correções).
+    async resolveTradeSetup(provider, context, response) {
+        const original = response.content;
+        const extracted = tradeSetupService.extract(original);
+        let { setup, errors } = extracted;
+        let attempts = 1;
+
+        response.content = extracted.prose;
+
+        while (errors.length > 0 && attempts <= this.maxSetupRepairs) {
+            const repairTurn = {
+                system: context.system,
+                messages: [
+                    ...context.messages,
+                    { role: 'assistant', content: original || '...' },
+                    { role: 'user', content: tradeSetupService.repairPrompt(errors) }
+                ]
+            };
+
+            try {
+                const repair = await this.withRetry(provider, () => this.callAIProvider(provider, repairTurn));
+                this.addUsage(response.usage, repair.usage, repairTurn, repair.content);
+                ({ setup, errors } = tradeSetupService.parseReply(repair.content || ''));
+            } catch (error) {
+                console.error(`Erro ao corrigir setup com ${provider}:`, this.describeError(error));
+                break;
             }
-        } catch (error) {
-            console.error(`Erro no provedor ${provider}:`, error);
-            // Fallback para mock response em desenvolvimento
-            return this.getMockResponse();
-        }
-    }
-
-    async callOpenAI(context) {
-        const response = await axios.post(this.providers.openai.url, {
-            model: this.providers.openai.model,
-            messages: [{ role: 'user', content: context }],
-            max_tokens: this.providers.openai.maxTokens,
-            temperature: 0.7
-        }, {
-            headers: {
-                'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-                'Content-Type': 'application/json'
+
+            attempts++;
+        }
+
+        if (errors.length > 0) {
+            console.warn('Setup de trade descartado:', errors);
+            return null;
+        }
+
+        return setup ? { ...setup, attempts } : null;
+    }
+
+    // Chama o provedor repetidamente, executando as ferramentas pedidas pelo modelo,
+    // até obter a resposta final. Na última rodada as ferramentas são desabilitadas.
+    async runToolLoop(provider, context) {
+        const turn = this.createTurn(provider, context);
+        const toolCalls = [];
+        const parts = [];
+        const usage = { inputTokens: 0, outputTokens: 0 };
+
+        for (let round = 0; ; round++) {
+            turn.toolChoice = round < this.maxToolRounds ? 'auto' : 'none';
+
+            const response = await this.withRetry(provider, () => this.callAIProvider(provider, turn));
+            this.addUsage(usage, response.usage, turn, response.content);
+
+            if (response.content) {
+                parts.push(response.content);
+            }
+
+            if (!response.toolCalls || response.toolCalls.length === 0) {
+                break;
             }
-        });
+
+            await this.executeToolCalls(turn, response, toolCalls);
+        }
 
         return {
-            content: response.data.choices[0].message.content,
-            tokensUsed: response.data.usage.total_tokens
+            content: parts.join('\n\n'),
+            usage,
+            toolCalls
         };
     }
 
-    async callClaude(context) {
-        const response = await axios.post(this.providers.claude.url, {
-            model: this.providers.claude.model,
-            max_tokens: this.providers.claude.maxTokens,
-            messages: [{ role: 'user', content: context }]
-        }, {
-            headers: {
-                'x-api-key': process.env.ANTHROPIC_API_KEY,
-                'Content-Type': 'application/json'
+    // Equivalente em streaming de runToolLoop: repassa os deltas de cada rodada
+    // e termina com { type: 'result', content, usage, toolCalls }
+    async *streamToolLoop(provider, context, signal) {
+        const turn = this.createTurn(provider, context);
+        const toolCalls = [];
+        let content = '';
+        const usage = { inputTokens: 0, outputTokens: 0 };
+
+        for (let round = 0; ; round++) {
+            turn.toolChoice = round < this.maxToolRounds ? 'auto' : 'none';
+
+            // Abrir o stream e aguardar o primeiro evento (com retry)
+            const { iterator, first } = await this.withRetry(provider, async () => {
+                const it = this.streamAIProvider(provider, turn, signal);
+                return { iterator: it, first: await it.next() };
+            }, signal);
+
+            const response = { content: '', toolCalls: [], usage: null };
+
+            for (let result = first; !result.done; result = await iterator.next()) {
+                const chunk = result.value;
+                if (chunk.type === 'delta') {
+                    // Separar o texto de rodadas diferentes
+                    if (!response.content && content) {
+                        content += '\n\n';
+                        yield { type: 'delta', content: '\n\n' };
+                    }
+                    response.content += chunk.content;
+                    content += chunk.content;
+                    yield chunk;
+                } else if (chunk.type === 'usage') {
+                    response.usage = chunk.usage;
+                } else if (chunk.type === 'tool_calls') {
+                    response.toolCalls = chunk.toolCalls;
+                }
             }
-        });
 
+            this.addUsage(usage, response.usage, turn, response.content);
+
+            if (response.toolCalls.length === 0) {
+                break;
+            }
+
+            for (const call of response.toolCalls) {
+                yield { type: 'tool', name: call.name, arguments: call.arguments };
+            }
+            await this.executeToolCalls(turn, response, toolCalls);
+        }
+
+        yield { type: 'result', content, usage, toolCalls };
+    }
+
+    // Acumula o uso de uma rodada; sem usage do provedor (alguns servidores locais
+    // em streaming), estima pelo tamanho do texto (~4 caracteres por token)
+    addUsage(total, usage, turn, content) {
+        if (usage && (usage.inputTokens || usage.outputTokens)) {
+            total.inputTokens += usage.inputTokens;
+            total.outputTokens += usage.outputTokens;
+        } else {
+            total.inputTokens += this.estimateContextTokens(turn);
+            total.outputTokens += this.estimateTokens(content);
+        }
+    }
+
+    // Cópia do contexto para as rodadas de ferramentas (apenas provedores com suporte a tools)
+    createTurn(provider, context) {
+        const supportsTools = providerRegistry.get(provider).capabilities.tools;
         return {
-            content: response.data.content[0].text,
-            tokensUsed: response.data.usage.input_tokens + response.data.usage.output_tokens
+            ...context,
+            messages: [...context.messages],
+            tools: supportsTools ? marketTools.TOOL_DEFINITIONS : undefined
         };
     }
 
-    async callDeepSeek(context) {
-        const response = await axios.post(this.providers.deepseek.url, {
-            model: this.providers.deepseek.model,
-            messages: [{ role: 'user', content: context }],
-            max_tokens: this.providers.deepseek.maxTokens,
-            temperature: 0.7
-        }, {
-            headers: {
-                'Authorization': `Bearer ${process.env.DEEPSEEK_API_KEY}`,
-                'Content-Type': 'application/json'
-            }
+    // Executa as ferramentas pedidas e anexa chamada + resultado ao turno
+    async executeToolCalls(turn, response, toolCalls) {
+        turn.messages.push({
+            role: 'assistant',
+            content: response.content || '',
+            toolCalls: response.toolCalls
         });
 
+        for (const call of response.toolCalls) {
+            let result;
+            try {
+                result = await marketTools.executeTool(call.name, call.arguments);
+            } catch (error) {
+                console.error(`Erro na ferramenta ${call.name}:`, error);
+                result = { error: 'Falha ao executar a ferramenta' };
+            }
+
+            toolCalls.push({ name: call.name, arguments: call.arguments, result });
+            turn.messages.push({
+                role: 'tool',
+                toolCallId: call.id,
+                name: call.name,
+                content: JSON.stringify(result)
+            });
+        }
+    }
+
+    // Provedor escolhido primeiro, depois a cadeia do modo; apenas provedores
+    // habilitados, com chave configurada e liberados para o plano do usuário
+    getProviderChain(primary, mode, plan = 'free') {
+        const chain = [primary, ...providerRegistry.getFailoverChain(mode).filter(id => id !== primary)];
+        return chain.filter(id => providerRegistry.isAvailable(id) && providerRegistry.isAllowedForPlan(id, plan));
+    }
+
+    // Executa fn com retry e backoff exponencial em respostas 429/5xx
+    async withRetry(provider, fn, signal) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await fn();
+            } catch (error) {
+                const status = error.response?.status;
+                const retryable = status === 429 || status >= 500;
+
+                if (!retryable || attempt >= this.retryPolicy.maxRetries || signal?.aborted) {
+                    throw error;
+                }
+
+                // Respeitar Retry-After quando o provedor informar
+                const retryAfter = parseInt(error.response.headers?.['retry-after']) * 1000;
+                const backoff = Math.min(
+                    this.retryPolicy.baseDelayMs * Math.pow(2, attempt) + Math.random() * 100,
+                    this.retryPolicy.maxDelayMs
+                );
+                const delay = retryAfter > 0 ? Math.min(retryAfter, this.retryPolicy.maxDelayMs) : backoff;
+
+                console.warn(`Provedor ${provider} respondeu ${status}, nova tentativa em ${Math.round(delay)}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    describeError(error) {
+        if (error.response?.status) {
+            return `HTTP ${error.response.status}`;
+        }
+        return error.code || error.message;
+    }
+
+    async searchKnowledge(query, mode) {
+        try {
+            // Busca full-text (FTS5) com sinônimos de tickers, ordenada por BM25 e relevância
+            return await knowledgeService.search(query, { limit: 5 });
+        } catch (error) {
+            console.error('Erro ao buscar conhecimento:', error);
+            return [];
+        }
+    }
+
+    // Trechos dos documentos do usuário anexados à conversa; sem conversa não há anexos
+    async searchDocuments(query, userId, conversationId) {
+        if (!userId || !conversationId) {
+            return [];
+        }
+
+        try {
+            return await documentService.retrieve(userId, conversationId, query);
+        } catch (error) {
+            console.error('Erro ao buscar documentos:', error);
+            return [];
+        }
+    }
+
+    // Mensagens de outras conversas do usuário parecidas com a pergunta
+    async searchMemory(query, userId, conversationId) {
+        if (!userId) {
+            return [];
+        }
+
+        try {
+            return await memoryService.search(userId, query, { excludeConversationId: conversationId });
+        } catch (error) {
+            console.error('Erro ao buscar memória:', error);
+            return [];
+        }
+    }
+
+    async loadProfile(userId) {
+        if (!userId) {
+            return null;
+        }
+
+        try {
+            return await profileService.load(userId);
+        } catch (error) {
+            console.error('Erro ao carregar perfil:', error);
+            return null;
+        }
+    }
+
+    // Falhas do módulo de mercado não impedem a resposta (a IA ainda tem as ferramentas)
+    async captureMarket(message) {
+        try {
+            return await marketSnapshotService.capture(message);
+        } catch (error) {
+            console.error('Erro ao capturar dados de mercado:', error);
+            return null;
+        }
+    }
+
+    // Trechos usados na resposta, sem o conteúdo: [{ documentId, filename, position }]
+    documentReferences(chunks) {
+        return chunks.map(chunk => ({
+            documentId: chunk.document_id,
+            filename: chunk.filename,
+            position: chunk.position
+        }));
+    }
+
+    // No modo robot o prompt de sistema depende da linguagem-alvo (robot, robot_mql5)
+    promptMode(mode, options) {
+        return mode === 'robot' ? getLanguage(options.language).promptMode : mode;
+    }
+
+    // Prompt da persona + perfil do usuário + instruções da requisição (setup estruturado,
+    // estratégia selecionada) + resumo da conversa, dados de mercado, trechos dos documentos
+    // anexados e memória
+    composeSystemPrompt(prompt, structured, options, {
+        documentChunks = [], memories = [], profile = null, marketSnapshot = null
+    } = {}) {
+        let system = prompt.content;
+
+        if (profile) {
+            system += profileService.contextFor(profile);
+        }
+
+        if (structured) {
+            system += tradeSetupService.instructions();
+        }
+
+        if (options.strategy) {
+            system += robotService.contextFor(options.strategy);
+        }
+
+        if (options.summary) {
+            system += `\n\nResumo da conversa até aqui (o histórico a seguir traz só as mensagens mais recentes):\n${options.summary}`;
+        }
+
+        if (marketSnapshot) {
+            system += marketSnapshotService.contextFor(marketSnapshot);
+        }
+
+        if (documentChunks.length > 0) {
+            system += documentService.contextFor(documentChunks);
+        }
+
+        if (memories.length > 0) {
+            system += memoryService.contextFor(memories);
+        }
+
+        return system;
+    }
+
+    // Monta o contexto estruturado enviado aos adaptadores:
+    // { system, messages } com turnos user/assistant alternados, terminando na pergunta atual.
+    buildContext(message, prompt, knowledge, history, provider = 'openai') {
+        const config = providerRegistry.get(provider);
+        let system = prompt;
+        if (config.capabilities.tools) {
+            system += '\n\nPara preços, históricos e indicadores use as ferramentas de mercado disponíveis (get_quote, get_history, get_indicators, get_analysis). Nunca invente níveis de preço.';
+        }
+        
+        // Adicionar conhecimento relevante, numerado para citação
+        if (knowledge.length > 0) {
+            system += '\n\nConhecimento relevante:\n';
+            knowledge.forEach((item, index) => {
+                system += `[${index + 1}] ${item.title}: ${item.content}\n`;
+            });
+            system += 'Ao usar uma informação desses trechos, cite o número entre colchetes logo após a frase, '
+                + 'por exemplo [1] ou [1, 2]. Não cite números que não estão na lista.\n';
+        }
+
+        // Orçamento de histórico: janela do provedor menos resposta, system e pergunta,
+        // com margem de 10% para o erro da estimativa de tokens
+        const budget = Math.floor(config.contextWindow * 0.9)
+            - config.maxTokens
+            - this.estimateTokens(system)
+            - this.estimateTokens(message);
+
+        const messages = [
+            ...this.trimHistory(history, budget),
+            { role: 'user', content: message }
+        ];
+
         return {
-            content: response.data.choices[0].message.content,
-            tokensUsed: response.data.usage.total_tokens
+            system,
+            messages: this.normalizeTurns(messages)
         };
     }
 
-    getMockResponse() {
-        const responses = [
-            {
-                content: `Baseado na análise técnica atual, identifiquei alguns pontos importantes:
-
-📊 **Análise Geral do Mercado:**
-• IBOVESPA está testando resistência em 130.000 pontos
-• Volume médio nas últimas sessões
-• Tendência de curto prazo lateral com viés de alta
-
-📈 **WINFUT - Recomendações:**
-• Suporte: 127.800 / 127.500
-• Resistência: 128.400 / 128.700
-• Estratégia: Aguardar rompimento para definir direção
-
-⚠️ **Gestão de Risco:**
-• Stop loss sempre abaixo do suporte identificado
-• Position size adequado ao seu capital
-• Não arrisque mais de 2% do capital por operação
-
-*Esta análise é baseada em dados técnicos e não constitui recomendação de investimento. Sempre consulte um assessor financeiro.*`,
-                tokensUsed: 150
-            },
-            {
-                content: `Análise técnica para Day Trade:
-
-🎯 **WINFUT - Setup Atual:**
-• Preço: 128.100 pontos
-• Movimento lateral entre 127.800 e 128.400
-• MACD em divergência positiva
-• RSI em 55 (neutro)
-
-📋 **Estratégia Sugerida:**
-1. **Entrada Long:** Rompimento de 128.400 com volume
-2. **Stop Loss:** 127.950 (45 pontos)
-3. **Alvo 1:** 128.700 (30 pontos)
-4. **Alvo 2:** 129.000 (60 pontos)
-
-🔍 **INDFUT - Observações:**
-• Maior volatilidade que WINFUT
-• Correlação alta com IBOV
-• Requer maior capital devido ao tick
-
-⚡ **Dicas para Day Trade:**
-• Opere apenas nos horários de maior volume (10h-11h30 / 14h-16h)
-• Use ordens stop para proteção automática
-• Acompanhe os índices americanos para confluência
-
-*Lembrando que day trade é uma atividade de alto risco.*`,
-                tokensUsed: 180
+    // Mantém as mensagens mais recentes que cabem no orçamento de tokens
+    trimHistory(history, budget) {
+        const selected = [];
+        let used = 0;
+
+        for (let i = history.length - 1; i >= 0; i--) {
+            const cost = this.estimateTokens(history[i].content) + 4; // overhead por mensagem
+            if (used + cost > budget) {
+                break;
             }
-        ];
-        
-        return responses[Math.floor(Math.random() * responses.length)];
-    }
-
-    getFallbackResponse(mode) {
-        const fallbacks = {
-            consulta: {
-                content: "Desculpe, estou enfrentando dificuldades técnicas no momento. Por favor, tente novamente em alguns minutos ou reformule sua pergunta.",
-                tokensUsed: 50,
-                provider: 'fallback',
-                model: 'fallback'
-            },
-            daytrade: {
-                content: "Sistema de análise técnica temporariamente indisponível. Para day trade, sempre lembre-se de usar stop loss e não arriscar mais de 2% do capital por operação.",
-                tokensUsed: 50,
-                provider: 'fallback',
-                model: 'fallback'
-            },
-            portfolio: {
-                content: "Serviço de análise de portfólio em manutenção. Em breve estaremos de volta com análises completas de diversificação e otimização.",
-                tokensUsed: 50,
-                provider: 'fallback',
-                model: 'fallback'
-            },
-            robot: {
-                content: "Gerador de código NTFL temporariamente offline. Consulte a documentação da Nelogica para referências de programação.",
-                tokensUsed: 50,
-                provider: 'fallback',
-                model: 'fallback'
+            used += cost;
+            selected.unshift({ role: history[i].role, content: history[i].content });
+        }
+
+        return selected;
+    }
+
+    // Os provedores exigem alternância user/assistant começando por user:
+    // descarta assistentes iniciais e junta mensagens consecutivas do mesmo papel
+    // (ex.: pergunta anterior que ficou sem resposta por falha do provedor)
+    normalizeTurns(messages) {
+        const turns = [];
+
+        for (const msg of messages) {
+            if (turns.length === 0 && msg.role !== 'user') {
+                continue;
             }
-        };
-        
-        return fallbacks[mode] || fallbacks.consulta;
+
+            const last = turns[turns.length - 1];
+            if (last && last.role === msg.role) {
+                last.content += '\n\n' + msg.content;
+            } else {
+                turns.push({ ...msg });
+            }
+        }
+
+        return turns;
+    }
+
+    // Estimativa aproximada (~4 caracteres por token), suficiente para orçamento de contexto
+    estimateTokens(text) {
+        return Math.ceil((text || '').length / 4);
+    }
+
+    estimateContextTokens(context) {
+        return context.messages.reduce(
+            (total, msg) => total + this.estimateTokens(msg.content) + 4,
+            this.estimateTokens(context.system)
+        );
+    }
+
+    // Provedor inicial pelas regras de roteamento (routing_rules); options.provider tem precedência.
+    // A conversa serve de semente para manter o mesmo braço do teste A/B em toda a conversa.
+    async selectProvider(message, mode, options = {}) {
+        if (options.provider) {
+            return { provider: options.provider, ruleId: null, ruleName: null, variant: null };
+        }
+
+        return routingService.selectProvider({
+            message,
+            mode,
+            plan: options.plan,
+            seed: options.conversationId
+        });
+    }
+
+    async callAIProvider(provider, context) {
+        const config = providerRegistry.get(provider);
+        return adapters[config.type].call(config, context);
+    }
+
+    // Provedores sem streaming são chamados normalmente e a resposta vira um único delta
+    async *streamAIProvider(provider, context, signal) {
+        const config = providerRegistry.get(provider);
+
+        if (config.capabilities.streaming) {
+            yield* adapters[config.type].stream(config, context, signal);
+            return;
+        }
+
+        const response = await adapters[config.type].call(config, context);
+        if (response.content) {
+            yield { type: 'delta', content: response.content };
+        }
+        if (response.toolCalls.length > 0) {
+            yield { type: 'tool_calls', toolCalls: response.toolCalls };
+        }
+        yield { type: 'usage', usage: response.usage };
     }
 
-    async logUsage(userId, provider, tokensUsed) {
+    // Registra o uso da IA e faz a cobrança pelo custo real da resposta
+    async recordUsage(userId, provider, usage) {
+        const cost = billingService.computeCost(providerRegistry.get(provider), usage);
+        let billing = { cost, creditsCharged: 0, creditsRemaining: null };
+
+        if (!userId) {
+            return billing;
+        }
+
         try {
-            // Consumir créditos do usuário (apenas para planos free/basic)
-            const user = await database.get('SELECT plan, credits FROM users WHERE id = ?', [userId]);
-            
-            if (user && (user.plan === 'free' || user.plan === 'basic') && user.credits > 0) {
-                await database.run(
-                    'UPDATE users SET credits = credits - 1 WHERE id = ?',
-                    [userId]
-                );
-            }
+            billing = { cost, ...(await billingService.charge(userId, cost)) };
             
             // Registrar no log
             await database.run(
@@ -340,6 +865,8 @@ class AIService {
         } catch (error) {
             console.error('Erro ao registrar uso:', error);
         }
+
+        return billing;
     }
 }
 
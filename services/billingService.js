@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const database = require('../database/init');
+
+const DEFAULT_CONFIG = path.join(__dirname, '..', 'config', 'billing.json');
+
+// Cobrança por custo real: tokens de entrada/saída x preço do provedor (por 1M tokens),
+// convertido em créditos conforme o plano (config/billing.json ou BILLING_CONFIG_FILE).
+class BillingService {
+    constructor() {
+        this.config = JSON.parse(fs.readFileSync(process.env.BILLING_CONFIG_FILE || DEFAULT_CONFIG, 'utf8'));
+    }
+
+    getPlanConfig(plan) {
+        return this.config.plans[plan] || this.config.plans.free;
+    }
+
+    computeCost(providerConfig, usage) {
+        const pricing = providerConfig.pricing;
+        const cost = (usage.inputTokens * pricing.input + usage.outputTokens * pricing.output) / 1000000;
+        return Math.round(cost * 1000000) / 1000000;
+    }
+
+    creditsForCost(cost, plan) {
+        const planConfig = this.getPlanConfig(plan);
+        if (planConfig.unlimited) {
+            return 0;
+        }
+        return Math.max(planConfig.minimumCredits, Math.ceil(cost / planConfig.costPerCredit));
+    }
+
+    // Único ponto de débito de créditos. O UPDATE é atômico e nunca deixa o saldo negativo;
+    // a resposta já foi gerada, então um custo maior que o saldo apenas zera os créditos.
+    async charge(userId, cost) {
+        const user = await database.get('SELECT plan FROM users WHERE id = ?', [userId]);
+        if (!user) {
+            return { creditsCharged: 0, creditsRemaining: null };
+        }
+
+        const credits = this.creditsForCost(cost, user.plan);
+        if (credits > 0) {
+            await database.run(
+                'UPDATE users SET credits = MAX(credits - ?, 0) WHERE id = ?',
+                [credits, userId]
+            );
+        }
+
+        const updated = await database.get('SELECT credits FROM users WHERE id = ?', [userId]);
+
+        return {
+            creditsCharged: credits,
+            creditsRemaining: updated.credits
+        };
+    }
+}
+
+module.exports = new BillingService();
@@ -0,0 +1,56 @@
+// Circuit breaker por provedor: após falhas consecutivas o provedor é pulado
+// durante uma janela de resfriamento, e depois volta a receber uma tentativa.
+class CircuitBreaker {
+    constructor({ failureThreshold = 3, cooldownMs = 60 * 1000 } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.states = new Map();
+    }
+
+    getState(key) {
+        if (!this.states.has(key)) {
+            this.states.set(key, { failures: 0, openedAt: null });
+        }
+        return this.states.get(key);
+    }
+
+    // Fechado ou meio-aberto (cool-down expirado) aceita requisições
+    canRequest(key) {
+        const state = this.getState(key);
+        if (state.openedAt === null) {
+            return true;
+        }
+        return Date.now() - state.openedAt >= this.cooldownMs;
+    }
+
+    recordSuccess(key) {
+        const state = this.getState(key);
+        state.failures = 0;
+        state.openedAt = null;
+    }
+
+    recordFailure(key) {
+        const state = this.getState(key);
+        state.failures++;
+
+        if (state.failures >= this.failureThreshold) {
+            if (state.openedAt === null) {
+                console.warn(`Circuit breaker aberto para ${key} por ${this.cooldownMs / 1000}s`);
+            }
+            state.openedAt = Date.now();
+        }
+    }
+
+    status() {
+        const result = {};
+        for (const [key, state] of this.states) {
+            result[key] = {
+                failures: state.failures,
+                open: !this.canRequest(key)
+            };
+        }
+        return result;
+    }
+}
+
+module.exports = CircuitBreaker;
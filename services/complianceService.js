@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const database = require('../database/init');
+const { normalizeText } = require('./symbolDetector');
+
+const DEFAULT_CONFIG = path.join(__dirname, '..', 'config', 'compliance.json');
+
+// Ordem de gravidade das ações: a mais grave entre as regras violadas prevalece
+const ACTION_SEVERITY = { append: 1, rewrite: 2, block: 3 };
+
+// Caracteres do fim do stream ainda não liberados: um padrão proibido pode estar chegando em pedaços
+const STREAM_HOLDBACK = 40;
+
+// Libera o texto do streaming à medida que é conferido contra as regras "forbid" que reescrevem
+// ou bloqueiam. Quando uma delas dispara (ou em stopAt, ex.: o bloco JSON do setup) a liberação
+// para e o restante só chega ao cliente no texto final, depois da conformidade.
+class StreamGuard {
+    constructor(rules, stopAt) {
+        this.rules = rules;
+        this.stopAt = stopAt;
+        this.text = '';
+        this.released = 0;
+        this.stopped = false;
+    }
+
+    // Acrescenta um delta e retorna o trecho que já pode ser enviado ('' se nada)
+    push(delta) {
+        this.text += delta;
+        if (this.stopped) {
+            return '';
+        }
+
+        const normalized = normalizeText(this.text);
+        if (this.rules.some(rule => rule.patterns.some(pattern => pattern.test(normalized)))) {
+            this.stopped = true;
+            return '';
+        }
+
+        let end = this.text.length - STREAM_HOLDBACK;
+        const stop = this.stopAt ? this.stopAt.exec(this.text) : null;
+        if (stop) {
+            end = Math.min(end, stop.index);
+        }
+
+        // Não separar um par substituto (emoji) entre dois deltas
+        const code = this.text.charCodeAt(end - 1);
+        if (code >= 0xD800 && code <= 0xDBFF) {
+            end--;
+        }
+
+        if (end <= this.released) {
+            return '';
+        }
+
+        const released = this.text.slice(this.released, end);
+        this.released = end;
+        return released;
+    }
+}
+
+// Regras de conformidade aplicadas depois da geração (config/compliance.json ou COMPLIANCE_CONFIG_FILE).
+// Regras "require" exigem que algum padrão apareça; regras "forbid" proíbem todos os padrões.
+// Os padrões são regex aplicadas ao texto sem acentos e em minúsculas.
+class ComplianceService {
+    constructor() {
+        this.load(process.env.COMPLIANCE_CONFIG_FILE || DEFAULT_CONFIG);
+    }
+
+    load(file) {
+        const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+        this.disclaimer = config.disclaimer;
+        this.blockMessage = config.blockMessage;
+        this.rules = [];
+
+        for (const rule of config.rules || []) {
+            if (!ACTION_SEVERITY[rule.action] || !['require', 'forbid'].includes(rule.type)) {
+                console.error(`Regra de conformidade inválida em ${file}:`, rule.id);
+                continue;
+            }
+
+            this.rules.push({
+                ...rule,
+                patterns: rule.patterns.map(pattern => new RegExp(pattern, 'i'))
+            });
+        }
+    }
+
+    // Regras violadas pela resposta no contexto (modo/plano) informado
+    evaluate(content, { mode, plan }) {
+        const text = normalizeText(content || '');
+
+        return this.rules.filter(rule => {
+            if (!this.appliesTo(rule, { mode, plan })) {
+                return false;
+            }
+
+            const found = rule.patterns.some(pattern => pattern.test(text));
+            return rule.type === 'require' ? !found : found;
+        });
+    }
+
+    appliesTo(rule, { mode, plan }) {
+        return (!rule.plans || rule.plans.includes(plan)) && (!rule.modes || rule.modes.includes(mode));
+    }
+
+    // Filtro dos deltas do streaming no modo/plano. Regras "require" que reescrevem ou bloqueiam
+    // só podem ser avaliadas no texto completo; com elas nada é liberado antes do fim
+    streamGuard({ mode, plan }, stopAt = null) {
+        const rules = this.rules.filter(rule => rule.action !== 'append' && this.appliesTo(rule, { mode, plan }));
+        const guard = new StreamGuard(rules.filter(rule => rule.type === 'forbid'), stopAt);
+        guard.stopped = rules.some(rule => rule.type === 'require');
+        return guard;
+    }
+
+    strongestAction(violations) {
+        return violations.reduce(
+            (action, rule) => ACTION_SEVERITY[rule.action] > ACTION_SEVERITY[action] ? rule.action : action,
+            'append'
+        );
+    }
+
+    rewritePrompt(content, violations) {
+        const problems = violations
+            .filter(rule => rule.action === 'rewrite')
+            .map(rule => `- ${rule.description}`)
+            .join('\n');
+
+        return `A resposta abaixo viola regras de conformidade:\n${problems}\n\n`
+            + 'Reescreva a resposta mantendo o conteúdo técnico e educacional, sem promessas de resultado '
+            + 'e sem ordens individualizadas de compra ou venda. Responda apenas com o texto reescrito.\n\n'
+            + `Resposta original:\n${content}`;
+    }
+
+    appendDisclaimer(content) {
+        return `${content}\n\n${this.disclaimer}`;
+    }
+
+    async log({ userId, conversationId, provider, mode, plan, rules, action, originalContent, finalContent }) {
+        const result = await database.run(
+            `INSERT INTO compliance_logs (user_id, conversation_id, provider, mode, plan, rules, action,
+                                          original_content, final_content)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                userId, conversationId, provider, mode, plan, JSON.stringify(rules), action,
+                originalContent, finalContent
+            ]
+        );
+        return result.id;
+    }
+
+    // A mensagem só é gravada depois da geração; vincula o registro de auditoria a ela
+    attachMessage(logId, messageId) {
+        return database.run('UPDATE compliance_logs SET message_id = ? WHERE id = ?', [messageId, logId]);
+    }
+}
+
+module.exports = new ComplianceService();
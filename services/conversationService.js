@@ -0,0 +1,340 @@
+const database = require('../database/init');
+const knowledgeService = require('./knowledgeService');
+
+// Marcadores do trecho destacado pelo FTS: caracteres de controle que não aparecem nas
+// mensagens, trocados por <mark> depois de escapar o HTML do trecho
+const MARK_START = '\u0001';
+const MARK_END = '\u0002';
+
+// Palavras ao redor dos termos encontrados em cada trecho
+const SNIPPET_TOKENS = 16;
+
+// Peso dos títulos em relação ao conteúdo das mensagens no ranking (bm25 é negativo)
+const TITLE_WEIGHT = 2;
+
+// Ordenações da listagem de conversas
+const SORT_COLUMNS = {
+    updated: 'c.updated_at',
+    created: 'c.created_at',
+    title: 'c.title COLLATE NOCASE'
+};
+
+const escapeHtml = text => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Listagem paginada (cursor), organização (títulos, fixadas, arquivadas, pastas e etiquetas)
+// e busca full-text nas conversas do usuário
+class ConversationService {
+    constructor() {
+        // Usados na validação das rotas
+        this.sorts = Object.keys(SORT_COLUMNS);
+    }
+
+    // Cursor opaco (base64url de JSON) para a próxima página
+    encodeCursor(value) {
+        return Buffer.from(JSON.stringify(value)).toString('base64url');
+    }
+
+    // Objeto do cursor, ou null se ausente ou inválido
+    decodeCursor(cursor) {
+        if (!cursor) {
+            return null;
+        }
+
+        try {
+            const value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+            return value && typeof value === 'object' ? value : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Conversas do usuário, fixadas primeiro e depois pela ordenação pedida (sort: updated, created
+    // ou title; order: asc ou desc). Paginação por cursor sobre (pinned, valor ordenado, id).
+    // Filtros: archived (false: só ativas, true: só arquivadas, all), pinned, folderId ('none':
+    // fora de pastas), tag e mode. Retorna { conversations, nextCursor }
+    async list(userId, {
+        archived = 'false', pinned = null, folderId = null, tag = null, mode = null,
+        sort = 'updated', order = 'desc', limit = 20, cursor = null
+    } = {}) {
+        const conditions = ['c.user_id = ?'];
+        const params = [userId];
+
+        if (archived !== 'all') {
+            conditions.push(archived === 'true' ? 'c.archived_at IS NOT NULL' : 'c.archived_at IS NULL');
+        }
+
+        if (pinned !== null) {
+            conditions.push('c.pinned = ?');
+            params.push(pinned ? 1 : 0);
+        }
+
+        if (folderId === 'none') {
+            conditions.push('c.folder_id IS NULL');
+        } else if (folderId) {
+            conditions.push('c.folder_id = ?');
+            params.push(folderId);
+        }
+
+        if (tag) {
+            conditions.push('EXISTS (SELECT 1 FROM conversation_tags t WHERE t.conversation_id = c.id AND t.tag = ?)');
+            params.push(this.normalizeTag(tag));
+        }
+
+        if (mode) {
+            conditions.push('c.mode = ?');
+            params.push(mode);
+        }
+
+        const column = SORT_COLUMNS[sort];
+        const direction = order === 'asc' ? 'ASC' : 'DESC';
+        const comparison = order === 'asc' ? '>' : '<';
+
+        // O cursor só vale para a mesma ordenação em que foi gerado
+        if (cursor && cursor.sort === sort && cursor.order === order && Number.isInteger(cursor.id)) {
+            conditions.push(`(c.pinned < ? OR (c.pinned = ? AND (${column} ${comparison} ?
+                OR (${column} = ? AND c.id ${comparison} ?))))`);
+            params.push(cursor.pinned, cursor.pinned, cursor.value, cursor.value, cursor.id);
+        }
+
+        const rows = await database.all(
+            `SELECT c.id, c.title, c.mode, c.created_at, c.updated_at, c.pinned, c.archived_at,
+                    c.folder_id, f.name as folder_name, ${column} as sort_value,
+                    (SELECT COUNT(*) FROM messages WHERE conversation_id = c.id) as message_count
+             FROM conversations c
+             LEFT JOIN conversation_folders f ON f.id = c.folder_id
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY c.pinned DESC, ${column} ${direction}, c.id ${direction}
+             LIMIT ?`,
+            [...params, limit + 1]
+        );
+
+        const page = rows.slice(0, limit);
+        const tags = await this.tagsFor(page.map(row => row.id));
+        const conversations = page.map(({ sort_value, ...row }) => ({
+            ...row,
+            pinned: Boolean(row.pinned),
+            tags: tags.get(row.id) || []
+        }));
+
+        const last = page[page.length - 1];
+        return {
+            conversations,
+            nextCursor: rows.length > limit
+                ? this.encodeCursor({ sort, order, pinned: last.pinned, value: last.sort_value, id: last.id })
+                : null
+        };
+    }
+
+    // Map id da conversa -> etiquetas em ordem alfabética
+    async tagsFor(conversationIds) {
+        const tags = new Map();
+        if (conversationIds.length === 0) {
+            return tags;
+        }
+
+        const rows = await database.all(
+            `SELECT conversation_id, tag FROM conversation_tags
+             WHERE conversation_id IN (${conversationIds.map(() => '?').join(', ')})
+             ORDER BY tag`,
+            conversationIds
+        );
+        for (const row of rows) {
+            if (!tags.has(row.conversation_id)) {
+                tags.set(row.conversation_id, []);
+            }
+            tags.get(row.conversation_id).push(row.tag);
+        }
+
+        return tags;
+    }
+
+    normalizeTag(tag) {
+        return String(tag).trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    // Alterações de organização (campos ausentes ficam como estão): title, pinned,
+    // archived (true arquiva, false desarquiva), folderId (null tira da pasta) e tags
+    // (substitui a lista). Não altera updated_at, que acompanha as mensagens
+    async update(conversationId, { title, pinned, archived, folderId, tags }) {
+        const sets = [];
+        const params = [];
+
+        if (title !== undefined) {
+            sets.push('title = ?');
+            params.push(title);
+        }
+        if (pinned !== undefined) {
+            sets.push('pinned = ?');
+            params.push(pinned ? 1 : 0);
+        }
+        if (archived !== undefined) {
+            sets.push(archived ? 'archived_at = COALESCE(archived_at, CURRENT_TIMESTAMP)' : 'archived_at = NULL');
+        }
+        if (folderId !== undefined) {
+            sets.push('folder_id = ?');
+            params.push(folderId);
+        }
+
+        if (sets.length > 0) {
+            await database.run(`UPDATE conversations SET ${sets.join(', ')} WHERE id = ?`, [...params, conversationId]);
+        }
+
+        if (tags !== undefined) {
+            await database.run('DELETE FROM conversation_tags WHERE conversation_id = ?', [conversationId]);
+            for (const tag of new Set(tags.map(item => this.normalizeTag(item)))) {
+                await database.run('INSERT INTO conversation_tags (conversation_id, tag) VALUES (?, ?)', [conversationId, tag]);
+            }
+        }
+
+        return this.get(conversationId);
+    }
+
+    async get(conversationId) {
+        const conversation = await database.get(
+            `SELECT c.id, c.title, c.mode, c.created_at, c.updated_at, c.pinned, c.archived_at,
+                    c.folder_id, f.name as folder_name
+             FROM conversations c
+             LEFT JOIN conversation_folders f ON f.id = c.folder_id
+             WHERE c.id = ?`,
+            [conversationId]
+        );
+        const tags = await this.tagsFor([conversationId]);
+
+        return { ...conversation, pinned: Boolean(conversation.pinned), tags: tags.get(conversationId) || [] };
+    }
+
+    // Etiquetas usadas pelo usuário, com o número de conversas de cada uma
+    listTags(userId) {
+        return database.all(
+            `SELECT t.tag, COUNT(*) as conversations
+             FROM conversation_tags t
+             JOIN conversations c ON c.id = t.conversation_id
+             WHERE c.user_id = ?
+             GROUP BY t.tag
+             ORDER BY t.tag`,
+            [userId]
+        );
+    }
+
+    // Pastas do usuário com o número de conversas em cada uma
+    listFolders(userId) {
+        return database.all(
+            `SELECT f.id, f.name, f.created_at,
+                    (SELECT COUNT(*) FROM conversations c WHERE c.folder_id = f.id) as conversations
+             FROM conversation_folders f
+             WHERE f.user_id = ?
+             ORDER BY f.name COLLATE NOCASE`,
+            [userId]
+        );
+    }
+
+    findFolder(userId, folderId) {
+        return database.get('SELECT * FROM conversation_folders WHERE id = ? AND user_id = ?', [folderId, userId]);
+    }
+
+    findFolderByName(userId, name) {
+        return database.get(
+            'SELECT * FROM conversation_folders WHERE user_id = ? AND name = ? COLLATE NOCASE',
+            [userId, name]
+        );
+    }
+
+    async createFolder(userId, name) {
+        const result = await database.run(
+            'INSERT INTO conversation_folders (user_id, name) VALUES (?, ?)',
+            [userId, name]
+        );
+        return this.findFolder(userId, result.id);
+    }
+
+    async renameFolder(userId, folderId, name) {
+        await database.run('UPDATE conversation_folders SET name = ? WHERE id = ?', [name, folderId]);
+        return this.findFolder(userId, folderId);
+    }
+
+    // As conversas da pasta ficam sem pasta (não são excluídas)
+    async deleteFolder(folderId) {
+        await database.run('UPDATE conversations SET folder_id = NULL WHERE folder_id = ?', [folderId]);
+        await database.run('DELETE FROM conversation_folders WHERE id = ?', [folderId]);
+    }
+
+    // Busca nos títulos e no conteúdo das mensagens (todas as versões das mensagens editadas),
+    // ordenada por relevância (BM25). Filtros: mode (da conversa), from/to (AAAA-MM-DD, inclusivos)
+    // pela data da mensagem ou da criação da conversa. Retorna { results, nextCursor };
+    // results: [{ type: 'message' | 'title', conversation_id, conversation_title, mode,
+    //             message_id, role, snippet (HTML com <mark>), created_at }]
+    async search(userId, q, { mode = null, from = null, to = null, limit = 20, cursor = null } = {}) {
+        const match = knowledgeService.buildMatchQuery(q);
+        if (!match) {
+            return { results: [], nextCursor: null };
+        }
+
+        const filters = (dateColumn) => {
+            const conditions = ['c.user_id = ?'];
+            const params = [userId];
+
+            if (mode) {
+                conditions.push('c.mode = ?');
+                params.push(mode);
+            }
+            if (from) {
+                conditions.push(`${dateColumn} >= date(?)`);
+                params.push(from);
+            }
+            if (to) {
+                conditions.push(`${dateColumn} < date(?, '+1 day')`);
+                params.push(to);
+            }
+
+            return { where: conditions.join(' AND '), params };
+        };
+
+        const messages = filters('m.created_at');
+        const titles = filters('c.created_at');
+        const offset = Number.isInteger(cursor?.offset) && cursor.offset > 0 ? cursor.offset : 0;
+
+        const rows = await database.all(
+            `SELECT 'message' as type, c.id as conversation_id, c.title as conversation_title, c.mode,
+                    m.id as message_id, m.role, m.created_at,
+                    snippet(messages_fts, 0, '${MARK_START}', '${MARK_END}', '…', ${SNIPPET_TOKENS}) as snippet,
+                    bm25(messages_fts) as rank
+             FROM messages_fts
+             JOIN messages m ON m.id = messages_fts.rowid
+             JOIN conversations c ON c.id = m.conversation_id
+             WHERE messages_fts MATCH ? AND ${messages.where}
+             UNION ALL
+             SELECT 'title', c.id, c.title, c.mode, NULL, NULL, c.created_at,
+                    highlight(conversations_fts, 0, '${MARK_START}', '${MARK_END}'),
+                    bm25(conversations_fts) * ${TITLE_WEIGHT}
+             FROM conversations_fts
+             JOIN conversations c ON c.id = conversations_fts.rowid
+             WHERE conversations_fts MATCH ? AND ${titles.where}
+             ORDER BY rank, created_at DESC
+             LIMIT ? OFFSET ?`,
+            [match, ...messages.params, match, ...titles.params, limit + 1, offset]
+        );
+
+        const results = rows.slice(0, limit).map(({ rank, ...row }) => ({
+            ...row,
+            snippet: this.highlight(row.snippet)
+        }));
+
+        return {
+            results,
+            nextCursor: rows.length > limit ? this.encodeCursor({ offset: offset + limit }) : null
+        };
+    }
+
+    // Trecho do FTS -> HTML seguro com os termos encontrados em <mark>
+    highlight(snippet) {
+        return escapeHtml(snippet || '')
+            .split(MARK_START).join('<mark>')
+            .split(MARK_END).join('</mark>');
+    }
+}
+
+module.exports = new ConversationService();
@@ -0,0 +1,277 @@
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const database = require('../database/init');
+const billingService = require('./billingService');
+const knowledgeService = require('./knowledgeService');
+const { UnsupportedDocumentError } = require('./errors');
+
+// Tamanho alvo dos trechos indexados (caracteres) e sobreposição ao cortar textos longos
+const CHUNK_SIZE = 1200;
+const CHUNK_OVERLAP = 150;
+
+// Trechos dos documentos da conversa enviados no contexto por pergunta
+const CONTEXT_CHUNKS = 4;
+
+const TYPES = {
+    pdf: { extensions: ['.pdf'], mimeTypes: ['application/pdf'] },
+    csv: { extensions: ['.csv'], mimeTypes: ['text/csv', 'application/csv', 'application/vnd.ms-excel'] },
+    text: { extensions: ['.txt', '.md'], mimeTypes: ['text/plain', 'text/markdown'] }
+};
+
+// Documentos enviados pelo usuário (extratos, relatórios em PDF, planilhas CSV).
+// O texto é extraído localmente e indexado em trechos (document_chunks + FTS5);
+// o arquivo original não é guardado. O tamanho original conta na cota do plano.
+class DocumentService {
+    detectType(filename, mimeType) {
+        const extension = path.extname(filename || '').toLowerCase();
+
+        for (const [type, rules] of Object.entries(TYPES)) {
+            if (rules.extensions.includes(extension)) {
+                return type;
+            }
+        }
+        for (const [type, rules] of Object.entries(TYPES)) {
+            if (rules.mimeTypes.includes(mimeType)) {
+                return type;
+            }
+        }
+        return null;
+    }
+
+    // Planilhas exportadas no Brasil costumam vir em Windows-1252; sem UTF-8 válido, lê como latin1
+    decodeText(buffer) {
+        const text = buffer.toString('utf8');
+        return text.includes('\uFFFD') ? buffer.toString('latin1') : text;
+    }
+
+    async extractText(buffer, type) {
+        if (type === 'pdf') {
+            try {
+                const result = await pdfParse(buffer);
+                return result.text;
+            } catch (error) {
+                throw new UnsupportedDocumentError('Não foi possível ler o PDF (arquivo corrompido ou protegido por senha)');
+            }
+        }
+        return this.decodeText(buffer).replace(/^\uFEFF/, '');
+    }
+
+    // Agrupa parágrafos até CHUNK_SIZE; parágrafos maiores são cortados com sobreposição
+    chunkText(text) {
+        const chunks = [];
+        let current = '';
+
+        const flush = () => {
+            if (current.trim()) {
+                chunks.push(current.trim());
+            }
+            current = '';
+        };
+
+        for (const paragraph of text.split(/\n\s*\n/)) {
+            const clean = paragraph.replace(/[ \t]+/g, ' ').trim();
+            if (!clean) {
+                continue;
+            }
+
+            if (clean.length > CHUNK_SIZE) {
+                flush();
+                for (let start = 0; start < clean.length; start += CHUNK_SIZE - CHUNK_OVERLAP) {
+                    chunks.push(clean.slice(start, start + CHUNK_SIZE));
+                }
+                continue;
+            }
+
+            if (current.length + clean.length + 2 > CHUNK_SIZE) {
+                flush();
+            }
+            current += `${clean}\n\n`;
+        }
+
+        flush();
+        return chunks;
+    }
+
+    // CSV: linhas agrupadas com o cabeçalho repetido em cada trecho, para a IA saber as colunas
+    chunkCsv(text) {
+        const [header, ...rows] = text.split(/\r?\n/).filter(line => line.trim() !== '');
+        if (!header) {
+            return [];
+        }
+
+        const chunks = [];
+        let current = [];
+        let length = header.length;
+
+        for (const row of rows) {
+            if (current.length > 0 && length + row.length + 1 > CHUNK_SIZE) {
+                chunks.push([header, ...current].join('\n'));
+                current = [];
+                length = header.length;
+            }
+            current.push(row);
+            length += row.length + 1;
+        }
+
+        chunks.push([header, ...current].join('\n'));
+        return chunks;
+    }
+
+    quotaBytes(plan) {
+        return (billingService.getPlanConfig(plan).documentStorageMb || 0) * 1024 * 1024;
+    }
+
+    async usage(userId, plan) {
+        const row = await database.get(
+            'SELECT COALESCE(SUM(size_bytes), 0) as used, COUNT(*) as documents FROM user_documents WHERE user_id = ?',
+            [userId]
+        );
+        return { usedBytes: row.used, quotaBytes: this.quotaBytes(plan), documents: row.documents };
+    }
+
+    // Extrai, divide e indexa o arquivo. Retorna o documento criado
+    async create(userId, { filename, mimeType, buffer }) {
+        const type = this.detectType(filename, mimeType);
+        if (!type) {
+            throw new UnsupportedDocumentError('Formato não suportado. Envie PDF, CSV ou texto (.txt, .md)');
+        }
+
+        const text = (await this.extractText(buffer, type)).trim();
+        if (!text) {
+            throw new UnsupportedDocumentError('Nenhum texto encontrado no arquivo (PDFs escaneados não são suportados)');
+        }
+
+        const chunks = type === 'csv' ? this.chunkCsv(text) : this.chunkText(text);
+
+        const result = await database.run(
+            `INSERT INTO user_documents (user_id, filename, type, size_bytes, chars, chunk_count)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [userId, filename, type, buffer.length, text.length, chunks.length]
+        );
+
+        for (const [index, content] of chunks.entries()) {
+            await database.run(
+                'INSERT INTO document_chunks (document_id, position, content) VALUES (?, ?, ?)',
+                [result.id, index + 1, content]
+            );
+        }
+
+        return this.get(result.id, userId);
+    }
+
+    list(userId) {
+        return database.all(
+            `SELECT d.*, (SELECT COUNT(*) FROM conversation_documents cd WHERE cd.document_id = d.id) as conversations
+             FROM user_documents d WHERE d.user_id = ? ORDER BY d.created_at DESC, d.id DESC`,
+            [userId]
+        );
+    }
+
+    get(id, userId) {
+        return database.get('SELECT * FROM user_documents WHERE id = ? AND user_id = ?', [id, userId]);
+    }
+
+    // Documentos do usuário entre os ids informados (para validar anexos)
+    findOwned(userId, ids) {
+        return database.all(
+            `SELECT * FROM user_documents WHERE user_id = ? AND id IN (${ids.map(() => '?').join(', ')})`,
+            [userId, ...ids]
+        );
+    }
+
+    chunks(documentId) {
+        return database.all(
+            'SELECT position, content FROM document_chunks WHERE document_id = ? ORDER BY position',
+            [documentId]
+        );
+    }
+
+    // Remove o documento, seus trechos (o trigger tira do índice) e os anexos em conversas
+    async remove(id) {
+        await database.run('DELETE FROM conversation_documents WHERE document_id = ?', [id]);
+        await database.run('DELETE FROM document_chunks WHERE document_id = ?', [id]);
+        await database.run('DELETE FROM user_documents WHERE id = ?', [id]);
+    }
+
+    async attach(conversationId, documentIds) {
+        for (const documentId of documentIds) {
+            await database.run(
+                'INSERT OR IGNORE INTO conversation_documents (conversation_id, document_id) VALUES (?, ?)',
+                [conversationId, documentId]
+            );
+        }
+    }
+
+    detach(conversationId, documentId) {
+        return database.run(
+            'DELETE FROM conversation_documents WHERE conversation_id = ? AND document_id = ?',
+            [conversationId, documentId]
+        );
+    }
+
+    listForConversation(conversationId) {
+        return database.all(
+            `SELECT d.id, d.filename, d.type, d.size_bytes, d.chunk_count, cd.created_at as attached_at
+             FROM conversation_documents cd
+             JOIN user_documents d ON d.id = cd.document_id
+             WHERE cd.conversation_id = ?
+             ORDER BY cd.created_at, d.id`,
+            [conversationId]
+        );
+    }
+
+    // Trechos dos documentos anexados à conversa mais relevantes para a pergunta (FTS5).
+    // Perguntas genéricas ("analise minha carteira") casam pouco com o texto do documento,
+    // então as vagas que sobrarem vão para o início de cada documento (cabeçalho, resumo).
+    async retrieve(userId, conversationId, query, limit = CONTEXT_CHUNKS) {
+        const attached = await this.listForConversation(conversationId);
+        if (attached.length === 0) {
+            return [];
+        }
+
+        const match = knowledgeService.buildMatchQuery(query);
+        const found = match
+            ? await database.all(
+                `SELECT c.id, c.document_id, c.position, c.content, d.filename
+                 FROM document_chunks_fts
+                 JOIN document_chunks c ON c.id = document_chunks_fts.rowid
+                 JOIN user_documents d ON d.id = c.document_id
+                 JOIN conversation_documents cd ON cd.document_id = d.id
+                 WHERE document_chunks_fts MATCH ? AND cd.conversation_id = ? AND d.user_id = ?
+                 ORDER BY bm25(document_chunks_fts)
+                 LIMIT ?`,
+                [match, conversationId, userId, limit]
+            )
+            : [];
+
+        if (found.length < limit) {
+            const leading = await database.all(
+                `SELECT c.id, c.document_id, c.position, c.content, d.filename
+                 FROM document_chunks c
+                 JOIN user_documents d ON d.id = c.document_id
+                 JOIN conversation_documents cd ON cd.document_id = d.id
+                 WHERE cd.conversation_id = ? AND d.user_id = ?
+                 ORDER BY c.position, c.document_id
+                 LIMIT ?`,
+                [conversationId, userId, limit]
+            );
+
+            for (const chunk of leading) {
+                if (found.length < limit && !found.some(item => item.id === chunk.id)) {
+                    found.push(chunk);
+                }
+            }
+        }
+
+        return found.sort((a, b) => a.document_id - b.document_id || a.position - b.position);
+    }
+
+    // Seção do prompt de sistema com os trechos recuperados
+    contextFor(chunks) {
+        return '\n\nDocumentos enviados pelo usuário (trechos relevantes):\n'
+            + chunks.map(chunk => `[Documento "${chunk.filename}", trecho ${chunk.position}]\n${chunk.content}`).join('\n\n')
+            + '\n\nUse esses dados do próprio usuário na resposta e avise quando a informação necessária não estiver nos trechos.';
+    }
+}
+
+module.exports = new DocumentService();
@@ -0,0 +1,112 @@
+const { normalizeText, detectSymbols } = require('../symbolDetector');
+const STOPWORDS = require('../stopwords');
+
+// Mudanças nas features ou nos conceitos exigem nova versão: o id do modelo muda
+// e os vetores antigos são recalculados na reindexação
+const VERSION = 1;
+
+// Conceitos de trading com as grafias e traduções usuais. Palavras que começam por um dos
+// radicais (ou iguais a ele, para radicais curtos) ativam a mesma dimensão do conceito,
+// aproximando "rompimento" de "breakout" e "média móvel" de "EMA"
+const CONCEPTS = {
+    rompimento: ['romp', 'breakout'],
+    suporte: ['suport', 'support'],
+    resistencia: ['resist'],
+    tendencia: ['tendenc', 'trend'],
+    reversao: ['revers'],
+    pullback: ['pullback', 'retrac', 'reteste', 'retest', 'correc'],
+    stop: ['stop', 'stoploss'],
+    alvo: ['alvo', 'target', 'takeprofit', 'gain'],
+    media_movel: ['media', 'movel', 'moveis', 'average', 'ema', 'sma', 'mme', 'mma'],
+    volatilidade: ['volatil', 'atr'],
+    ifr: ['ifr', 'rsi', 'sobrecomprad', 'sobrevendid', 'overbought', 'oversold'],
+    volume: ['volum'],
+    candle: ['candle', 'vela', 'candlestick'],
+    risco: ['risco', 'risk', 'alavanc', 'leverage', 'gerenciament'],
+    scalping: ['scalp'],
+    swing: ['swing'],
+    daytrade: ['daytrade', 'intraday', 'intradia'],
+    operar: ['opera', 'trade', 'trading', 'negoci'],
+    entrada: ['entrad', 'entrar', 'entry'],
+    fibonacci: ['fibo'],
+    bollinger: ['bollinger', 'bandas'],
+    macd: ['macd'],
+    robo: ['robo', 'robot', 'automatiz', 'estrategia', 'setup']
+};
+
+const SHORT_STEM = 3;
+
+// Pesos de cada família de features
+const WEIGHTS = { word: 1.0, trigram: 0.3, concept: 2.0, symbol: 2.0 };
+
+// FNV-1a 32 bits
+function hash(feature) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < feature.length; i++) {
+        h ^= feature.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+function conceptsOf(word) {
+    return Object.keys(CONCEPTS).filter(concept => CONCEPTS[concept].some(stem =>
+        stem.length <= SHORT_STEM ? word === stem : word.startsWith(stem)
+    ));
+}
+
+// Embedder local, sem modelo treinado: feature hashing de radicais, trigramas de caracteres,
+// conceitos de trading e tickers, com TF sublinear e vetor normalizado (similaridade = cosseno).
+// É o padrão e o fallback quando nenhum servidor de embeddings está configurado.
+class HashingEmbedder {
+    constructor(config = {}) {
+        this.dimensions = config.dimensions || 512;
+        this.id = `hashing-v${VERSION}-${this.dimensions}`;
+    }
+
+    features(text) {
+        const counts = new Map();
+        const add = (feature, weight) => {
+            const entry = counts.get(feature) || { weight, count: 0 };
+            entry.count++;
+            counts.set(feature, entry);
+        };
+
+        const words = (normalizeText(text || '').match(/[a-z0-9]+/g) || [])
+            .filter(word => word.length >= 2 && !STOPWORDS.has(word));
+
+        for (const word of words) {
+            add(`w:${word.length >= 5 ? word.slice(0, Math.max(4, word.length - 2)) : word}`, WEIGHTS.word);
+
+            const padded = `#${word}#`;
+            for (let i = 0; i + 3 <= padded.length; i++) {
+                add(`g:${padded.slice(i, i + 3)}`, WEIGHTS.trigram);
+            }
+
+            conceptsOf(word).forEach(concept => add(`c:${concept}`, WEIGHTS.concept));
+        }
+
+        detectSymbols(text || '').forEach(symbol => add(`s:${symbol}`, WEIGHTS.symbol));
+
+        return counts;
+    }
+
+    embedOne(text) {
+        const vector = new Float32Array(this.dimensions);
+
+        for (const [feature, { weight, count }] of this.features(text)) {
+            const h = hash(feature);
+            const sign = (h >>> 16) & 1 ? 1 : -1;
+            vector[h % this.dimensions] += sign * weight * (1 + Math.log(count));
+        }
+
+        const norm = Math.hypot(...vector);
+        return norm > 0 ? vector.map(value => value / norm) : vector;
+    }
+
+    async embed(texts) {
+        return texts.map(text => this.embedOne(text));
+    }
+}
+
+module.exports = HashingEmbedder;
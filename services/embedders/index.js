@@ -0,0 +1,8 @@
+const HashingEmbedder = require('./hashingEmbedder');
+const OpenAIEmbedder = require('./openaiEmbedder');
+
+// Embedders por tipo ("type" em config/embeddings.json)
+module.exports = {
+    hashing: HashingEmbedder,
+    openai: OpenAIEmbedder
+};
@@ -0,0 +1,36 @@
+const axios = require('axios');
+const { buildHeaders } = require('../providers/utils');
+
+// Servidor compatível com POST /embeddings da OpenAI (Ollama, llama.cpp, vLLM, LocalAI...)
+class OpenAIEmbedder {
+    constructor(config) {
+        this.config = config;
+        this.id = `${config.name}:${config.model}`;
+    }
+
+    async embed(texts) {
+        const vectors = [];
+
+        for (let start = 0; start < texts.length; start += this.config.batchSize) {
+            const batch = texts.slice(start, start + this.config.batchSize);
+            const response = await axios.post(`${this.config.baseUrl}/embeddings`, {
+                model: this.config.model,
+                input: batch
+            }, {
+                headers: buildHeaders(this.config),
+                timeout: this.config.timeout
+            });
+
+            const data = [...response.data.data].sort((a, b) => a.index - b.index);
+            for (const item of data) {
+                const vector = Float32Array.from(item.embedding);
+                const norm = Math.hypot(...vector);
+                vectors.push(norm > 0 ? vector.map(value => value / norm) : vector);
+            }
+        }
+
+        return vectors;
+    }
+}
+
+module.exports = OpenAIEmbedder;
@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const database = require('../database/init');
+const embedders = require('./embedders');
+
+const DEFAULT_CONFIG = path.join(__dirname, '..', 'config', 'embeddings.json');
+
+// Texto indexado por mensagem (respostas longas: o início costuma resumir o assunto)
+const MESSAGE_TEXT_LIMIT = 2000;
+
+// Lote da reindexação em segundo plano
+const BACKFILL_BATCH = 100;
+
+// Vetores de similaridade semântica guardados na tabela embeddings (BLOB de Float32),
+// um por entrada da base de conhecimento ou mensagem. O embedder vem de config/embeddings.json
+// (ou EMBEDDINGS_FILE), escolhido por EMBEDDER; sem configuração válida usa o hashing local.
+// Vetores de outro modelo são ignorados na busca e recalculados pelo backfill.
+class EmbeddingService {
+    constructor() {
+        this.load(process.env.EMBEDDINGS_FILE || DEFAULT_CONFIG);
+    }
+
+    load(file) {
+        const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        let name = process.env.EMBEDDER || config.embedder || 'hashing';
+        let entry = (config.embedders || {})[name];
+
+        if (!entry || !embedders[entry.type]) {
+            console.error(`Embedder inválido em ${file}: ${name}. Usando hashing local`);
+            name = 'hashing';
+            entry = { type: 'hashing' };
+        }
+
+        this.embedder = new embedders[entry.type](this.normalize(name, entry));
+        this.settings = { candidates: 20, minSimilarity: 0.2, rrfK: 60, maxScan: 5000, ...config.search };
+        console.log(`Embeddings: ${this.embedder.id}`);
+    }
+
+    normalize(name, entry) {
+        return {
+            name,
+            authHeader: 'Authorization',
+            authScheme: null,
+            headers: {},
+            timeout: 30000,
+            batchSize: 32,
+            ...entry,
+            baseUrl: (entry.baseUrlEnv && process.env[entry.baseUrlEnv]) || entry.baseUrl
+        };
+    }
+
+    get model() {
+        return this.embedder.id;
+    }
+
+    // Vetores dos textos, ou null se o embedder falhar (a busca segue só por palavras-chave)
+    async embed(texts) {
+        try {
+            return await this.embedder.embed(texts);
+        } catch (error) {
+            console.error(`Erro ao gerar embeddings (${this.model}):`, error.message);
+            return null;
+        }
+    }
+
+    toBlob(vector) {
+        return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength);
+    }
+
+    fromBlob(blob) {
+        return new Float32Array(new Uint8Array(blob).buffer);
+    }
+
+    knowledgeText(entry) {
+        return [entry.title, entry.tags, entry.content].filter(Boolean).join('\n');
+    }
+
+    async store(sourceType, sourceId, text, userId = null) {
+        const vectors = await this.embed([text]);
+        if (!vectors) {
+            return false;
+        }
+
+        await database.run(
+            `INSERT OR REPLACE INTO embeddings (source_type, source_id, user_id, model, vector)
+             VALUES (?, ?, ?, ?, ?)`,
+            [sourceType, sourceId, userId, this.model, this.toBlob(vectors[0])]
+        );
+        return true;
+    }
+
+    indexKnowledge(entry) {
+        return this.store('knowledge', entry.id, this.knowledgeText(entry));
+    }
+
+    indexMessage(messageId, userId, content) {
+        return this.store('message', messageId, content.slice(0, MESSAGE_TEXT_LIMIT), userId);
+    }
+
+    remove(sourceType, sourceId) {
+        return database.run(
+            'DELETE FROM embeddings WHERE source_type = ? AND source_id = ?',
+            [sourceType, sourceId]
+        );
+    }
+
+    // Vizinhos mais próximos do texto por cosseno (vetores normalizados: produto escalar).
+    // Busca exaustiva nos maxScan vetores mais recentes do tipo (e do usuário, para mensagens).
+    // Retorna [{ sourceId, similarity }] acima de minSimilarity, ou null se o embedder falhar
+    async nearest(sourceType, text, { userId = null, limit = this.settings.candidates } = {}) {
+        const vectors = await this.embed([text]);
+        if (!vectors) {
+            return null;
+        }
+
+        const query = vectors[0];
+        const rows = await database.all(
+            `SELECT source_id, vector FROM embeddings
+             WHERE source_type = ? AND model = ? ${userId ? 'AND user_id = ?' : ''}
+             ORDER BY source_id DESC
+             LIMIT ?`,
+            [sourceType, this.model, ...(userId ? [userId] : []), this.settings.maxScan]
+        );
+
+        const results = [];
+        for (const row of rows) {
+            const vector = this.fromBlob(row.vector);
+            if (vector.length !== query.length) {
+                continue;
+            }
+
+            let similarity = 0;
+            for (let i = 0; i < vector.length; i++) {
+                similarity += vector[i] * query[i];
+            }
+
+            if (similarity >= this.settings.minSimilarity) {
+                results.push({ sourceId: row.source_id, similarity });
+            }
+        }
+
+        return results.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+    }
+
+    // Reciprocal Rank Fusion: combina listas de ids ordenadas (palavras-chave, vetores)
+    // sem depender da escala de cada score. Retorna Map id -> score
+    fuse(rankings) {
+        const scores = new Map();
+
+        for (const ranking of rankings) {
+            ranking.forEach((id, index) => {
+                scores.set(id, (scores.get(id) || 0) + 1 / (this.settings.rrfK + index + 1));
+            });
+        }
+
+        return scores;
+    }
+
+    // Indexa o que ainda não tem vetor do modelo atual (bancos antigos, troca de embedder,
+    // falhas do servidor de embeddings). Roda em segundo plano na inicialização
+    async backfill() {
+        const sources = [
+            {
+                type: 'knowledge',
+                sql: `SELECT k.id, NULL as user_id, k.title, k.tags, k.content FROM financial_knowledge k
+                      LEFT JOIN embeddings e ON e.source_type = 'knowledge' AND e.source_id = k.id AND e.model = ?
+                      WHERE e.id IS NULL LIMIT ?`,
+                text: row => this.knowledgeText(row)
+            },
+            {
+                type: 'message',
+                sql: `SELECT m.id, c.user_id, m.content FROM messages m
+                      JOIN conversations c ON c.id = m.conversation_id
+                      LEFT JOIN embeddings e ON e.source_type = 'message' AND e.source_id = m.id AND e.model = ?
+                      WHERE e.id IS NULL LIMIT ?`,
+                text: row => row.content.slice(0, MESSAGE_TEXT_LIMIT)
+            }
+        ];
+
+        const indexed = { knowledge: 0, message: 0 };
+
+        for (const source of sources) {
+            for (;;) {
+                const rows = await database.all(source.sql, [this.model, BACKFILL_BATCH]);
+                if (rows.length === 0) {
+                    break;
+                }
+
+                const vectors = await this.embed(rows.map(source.text));
+                if (!vectors) {
+                    return indexed;
+                }
+
+                for (const [index, row] of rows.entries()) {
+                    await database.run(
+                        `INSERT OR REPLACE INTO embeddings (source_type, source_id, user_id, model, vector)
+                         VALUES (?, ?, ?, ?, ?)`,
+                        [source.type, row.id, row.user_id, this.model, this.toBlob(vectors[index])]
+                    );
+                }
+                indexed[source.type] += rows.length;
+            }
+        }
+
+        return indexed;
+    }
+}
+
+module.exports = new EmbeddingService();
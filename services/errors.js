@@ -0,0 +1,24 @@
+// Erros de domínio com status HTTP associado, tratados pelas rotas
+
+class AIUnavailableError extends Error {
+    constructor(attempts = []) {
+        super('Todos os provedores de IA falharam');
+        this.name = 'AIUnavailableError';
+        this.statusCode = 503;
+        this.attempts = attempts;
+    }
+}
+
+// Arquivo enviado sem formato suportado ou sem texto extraível
+class UnsupportedDocumentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnsupportedDocumentError';
+        this.statusCode = 415;
+    }
+}
+
+module.exports = {
+    AIUnavailableError,
+    UnsupportedDocumentError
+};
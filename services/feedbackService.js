@@ -0,0 +1,137 @@
+const database = require('../database/init');
+
+// Motivos que o usuário pode marcar ao avaliar uma resposta
+const FEEDBACK_REASONS = {
+    wrong_levels: 'Níveis de preço errados',
+    outdated: 'Informação desatualizada',
+    bad_code: 'Código com erro',
+    incorrect: 'Informação incorreta',
+    unclear: 'Resposta confusa',
+    off_topic: 'Não respondeu à pergunta',
+    too_long: 'Resposta longa demais'
+};
+
+const RATINGS = { up: 1, down: -1 };
+
+// Agrupamento da linha do tempo do relatório
+const INTERVALS = {
+    day: '%Y-%m-%d',
+    week: '%Y-W%W',
+    month: '%Y-%m'
+};
+
+// Avaliações das respostas da IA (polegar para cima/baixo + motivos) e relatório de satisfação
+// por modo, provedor e versão do prompt, para orientar mudanças de roteamento e de prompts.
+class FeedbackService {
+    constructor() {
+        // Usados na validação das rotas
+        this.reasons = FEEDBACK_REASONS;
+        this.intervals = Object.keys(INTERVALS);
+    }
+
+    // Uma avaliação por mensagem: avaliar de novo substitui a anterior.
+    // message: linha de messages com o modo usado na resposta (mode)
+    async save(message, userId, { rating, reasons = [], comment = null }) {
+        await database.run(
+            `INSERT INTO message_feedback (message_id, user_id, conversation_id, rating, reasons, comment,
+                                           provider, model, mode, prompt_version_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT (message_id) DO UPDATE SET
+                rating = excluded.rating,
+                reasons = excluded.reasons,
+                comment = excluded.comment,
+                updated_at = CURRENT_TIMESTAMP`,
+            [
+                message.id, userId, message.conversation_id, RATINGS[rating],
+                JSON.stringify([...new Set(reasons)]), comment || null,
+                message.provider_used, message.model_used, message.mode, message.prompt_version_id
+            ]
+        );
+
+        return this.fromRow(await database.get('SELECT * FROM message_feedback WHERE message_id = ?', [message.id]));
+    }
+
+    remove(messageId) {
+        return database.run('DELETE FROM message_feedback WHERE message_id = ?', [messageId]);
+    }
+
+    forConversation(conversationId) {
+        return database.all('SELECT * FROM message_feedback WHERE conversation_id = ?', [conversationId]);
+    }
+
+    // Linha da tabela -> formato devolvido pela API
+    fromRow(row) {
+        return {
+            rating: row.rating === 1 ? 'up' : 'down',
+            reasons: JSON.parse(row.reasons),
+            comment: row.comment,
+            updated_at: row.updated_at
+        };
+    }
+
+    // Satisfação (avaliações positivas / total) nos últimos days dias, pela data da avaliação.
+    // Filtros opcionais: mode, provider. Retorna { byModeProvider, timeline, byPromptVersion, reasons }
+    async report({ days = 30, interval = 'day', mode = null, provider = null } = {}) {
+        const conditions = ["f.created_at >= datetime('now', '-' || ? || ' days')"];
+        const params = [days];
+
+        if (mode) {
+            conditions.push('f.mode = ?');
+            params.push(mode);
+        }
+
+        if (provider) {
+            conditions.push('f.provider = ?');
+            params.push(provider);
+        }
+
+        const where = `WHERE ${conditions.join(' AND ')}`;
+        const totals = `COUNT(*) as total,
+                        SUM(f.rating = 1) as positive,
+                        SUM(f.rating = -1) as negative,
+                        ROUND(SUM(f.rating = 1) * 1.0 / COUNT(*), 3) as satisfaction`;
+
+        const [byModeProvider, timeline, byPromptVersion, reasons] = await Promise.all([
+            database.all(
+                `SELECT f.mode, f.provider, ${totals}
+                 FROM message_feedback f ${where}
+                 GROUP BY f.mode, f.provider
+                 ORDER BY f.mode, total DESC`,
+                params
+            ),
+            database.all(
+                `SELECT strftime('${INTERVALS[interval]}', f.created_at) as period, f.mode, f.provider, ${totals}
+                 FROM message_feedback f ${where}
+                 GROUP BY period, f.mode, f.provider
+                 ORDER BY period, f.mode, f.provider`,
+                params
+            ),
+            database.all(
+                `SELECT f.prompt_version_id, p.mode as prompt_mode, p.version, p.plan, ${totals}
+                 FROM message_feedback f
+                 LEFT JOIN system_prompts p ON p.id = f.prompt_version_id
+                 ${where}
+                 GROUP BY f.prompt_version_id
+                 ORDER BY p.mode, p.version`,
+                params
+            ),
+            database.all(
+                `SELECT r.value as reason, COUNT(*) as total
+                 FROM message_feedback f, json_each(f.reasons) r
+                 ${where}
+                 GROUP BY r.value
+                 ORDER BY total DESC`,
+                params
+            )
+        ]);
+
+        return {
+            byModeProvider,
+            timeline,
+            byPromptVersion,
+            reasons: reasons.map(row => ({ ...row, label: FEEDBACK_REASONS[row.reason] || row.reason }))
+        };
+    }
+}
+
+module.exports = new FeedbackService();
@@ -0,0 +1,219 @@
+// Conversão entre arquivos (Markdown, CSV, JSON) e entradas da base de conhecimento:
+// { category, subcategory, title, content, tags, source, relevance_score }
+
+const FIELDS = ['category', 'subcategory', 'title', 'content', 'tags', 'source', 'relevance_score'];
+
+const DEFAULT_CATEGORY = 'Geral';
+
+// Cabeçalhos aceitos no CSV além dos nomes das colunas
+const CSV_ALIASES = {
+    categoria: 'category',
+    subcategoria: 'subcategory',
+    titulo: 'title',
+    'título': 'title',
+    conteudo: 'content',
+    'conteúdo': 'content',
+    fonte: 'source',
+    relevancia: 'relevance_score',
+    'relevância': 'relevance_score',
+    relevance: 'relevance_score'
+};
+
+// Normaliza uma entrada vinda de qualquer formato; tags em lista viram texto separado por vírgula
+function normalizeEntry(raw) {
+    const entry = {};
+
+    for (const field of FIELDS) {
+        let value = raw[field];
+        if (value === undefined || value === null || value === '') {
+            continue;
+        }
+        if (field === 'tags' && Array.isArray(value)) {
+            value = value.join(',');
+        }
+        entry[field] = field === 'relevance_score' ? Number(value) : String(value).trim();
+    }
+
+    entry.category = entry.category || DEFAULT_CATEGORY;
+    return entry;
+}
+
+function validateEntry(entry) {
+    const errors = [];
+
+    if (!entry.title) {
+        errors.push('title é obrigatório');
+    } else if (entry.title.length > 200) {
+        errors.push('title deve ter no máximo 200 caracteres');
+    }
+    if (!entry.content) {
+        errors.push('content é obrigatório');
+    }
+    if (entry.relevance_score !== undefined && !(entry.relevance_score > 0)) {
+        errors.push('relevance_score deve ser um número positivo');
+    }
+
+    return errors;
+}
+
+// Pasta de Markdown: [{ path: 'Categoria/Subcategoria/arquivo.md', content }].
+// As pastas definem categoria e subcategoria; o cabeçalho opcional entre --- pode
+// sobrescrever qualquer campo; sem title, vale o primeiro "# Título" ou o nome do arquivo.
+function parseMarkdownFiles(files) {
+    return files
+        .filter(file => /\.(md|markdown)$/i.test(file.path))
+        .map(file => {
+            const parts = file.path.replace(/\\/g, '/').split('/').filter(Boolean);
+            const fileName = parts.pop().replace(/\.(md|markdown)$/i, '');
+            const raw = { category: parts[0], subcategory: parts[1] };
+
+            let body = file.content.replace(/^\uFEFF/, '');
+            const frontMatter = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(body);
+            if (frontMatter) {
+                for (const line of frontMatter[1].split(/\r?\n/)) {
+                    const match = /^\s*([\w]+)\s*:\s*(.*)$/.exec(line);
+                    if (match) {
+                        const key = match[1] === 'relevance' ? 'relevance_score' : match[1];
+                        raw[key] = match[2].replace(/^["']|["']$/g, '');
+                    }
+                }
+                body = body.slice(frontMatter[0].length);
+            }
+
+            const heading = /^\s*#\s+(.+)\r?\n?/.exec(body);
+            if (heading) {
+                raw.title = raw.title || heading[1].trim();
+                body = body.slice(heading[0].length);
+            }
+
+            raw.title = raw.title || fileName.replace(/[-_]+/g, ' ');
+            raw.content = body.trim();
+            return normalizeEntry(raw);
+        });
+}
+
+// CSV com cabeçalho (RFC 4180: aspas, aspas duplicadas e quebras de linha dentro de aspas).
+// O separador é detectado na primeira linha: vírgula ou ponto e vírgula (Excel em português)
+function parseCsv(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header = [], ...records] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    const columns = header.map(name => {
+        const key = name.trim().toLowerCase();
+        return CSV_ALIASES[key] || key;
+    });
+
+    return records.map(cells => normalizeEntry(
+        Object.fromEntries(columns.map((column, index) => [column, cells[index]]))
+    ));
+}
+
+// JSON: lista de entradas ou { entries: [...] }
+function parseJson(data) {
+    const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+    const entries = Array.isArray(parsed) ? parsed : parsed?.entries;
+
+    if (!Array.isArray(entries)) {
+        throw new Error('JSON deve ser uma lista de entradas ou { "entries": [...] }');
+    }
+
+    return entries.map(entry => normalizeEntry(entry || {}));
+}
+
+function toCsv(entries) {
+    const escape = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+        FIELDS.join(','),
+        ...entries.map(entry => FIELDS.map(field => escape(entry[field])).join(','))
+    ].join('\n') + '\n';
+}
+
+// Formato inverso de parseMarkdownFiles, para reimportar sem perdas
+function toMarkdownFiles(entries) {
+    const slug = text => text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^A-Za-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '')
+        .toLowerCase();
+
+    const used = new Set();
+
+    return entries.map(entry => {
+        const folder = [entry.category, entry.subcategory].filter(Boolean).join('/');
+        let name = slug(entry.title) || `entrada-${entry.id}`;
+        if (used.has(`${folder}/${name}`)) {
+            name = `${name}-${entry.id}`;
+        }
+        used.add(`${folder}/${name}`);
+
+        const meta = [
+            `title: ${entry.title}`,
+            entry.tags ? `tags: ${entry.tags}` : null,
+            entry.source ? `source: ${entry.source}` : null,
+            `relevance_score: ${entry.relevance_score}`
+        ].filter(Boolean);
+
+        return {
+            path: `${folder}/${name}.md`,
+            content: `---\n${meta.join('\n')}\n---\n\n${entry.content}\n`
+        };
+    });
+}
+
+module.exports = {
+    FIELDS,
+    normalizeEntry,
+    validateEntry,
+    parseMarkdownFiles,
+    parseCsv,
+    parseJson,
+    toCsv,
+    toMarkdownFiles
+};
@@ -0,0 +1,331 @@
+const database = require('../database/init');
+const { FUTURES_ALIASES, CONTRACT_ROOTS, normalizeText, detectSymbols } = require('./symbolDetector');
+const { FIELDS, normalizeEntry, validateEntry } = require('./knowledgeImport');
+const STOPWORDS = require('./stopwords');
+const embeddingService = require('./embeddingService');
+
+// Pesos do BM25 por coluna: título, conteúdo, tags
+const BM25_WEIGHTS = [10.0, 1.0, 5.0];
+
+// Termos a partir deste tamanho casam pelo radical aproximado (sem as duas últimas letras),
+// cobrindo plurais e flexões: retração/retrações, média/médias
+const PREFIX_MIN_LENGTH = 5;
+
+// Sinônimos de tickers: cada símbolo com os apelidos usados pelos traders
+// (derivado de FUTURES_ALIASES e CONTRACT_ROOTS, ex.: "mini índice" e "win" <-> WINFUT)
+const TICKER_SYNONYMS = Object.entries({ ...FUTURES_ALIASES, ...CONTRACT_ROOTS }).reduce((groups, [alias, symbol]) => {
+    groups[symbol] = groups[symbol] || [symbol.toLowerCase()];
+    groups[symbol].push(alias);
+    return groups;
+}, {});
+
+// Base de conhecimento (financial_knowledge): busca híbrida que funde o índice FTS5
+// financial_knowledge_fts (BM25 com relevance_score, mantido por triggers) com a similaridade
+// dos embeddings; e manutenção pelos analistas (CRUD e importação com upsert pelo título).
+class KnowledgeService {
+    // Busca híbrida: as listas por palavras-chave e por vetor são fundidas (RRF) e o resultado
+    // ponderado por relevance_score. "como operar rompimento" encontra a entrada de breakout
+    // mesmo sem termos em comum. Retorna [{ id, title, content, category, subcategory, source,
+    // score, similarity }], melhor primeiro
+    async search(query, { limit = 5 } = {}) {
+        const candidates = embeddingService.settings.candidates;
+        const [keyword, semantic] = await Promise.all([
+            this.keywordSearch(query, { limit: candidates }),
+            embeddingService.nearest('knowledge', query || '', { limit: candidates })
+        ]);
+
+        const scores = embeddingService.fuse([
+            keyword.map(item => item.id),
+            (semantic || []).map(item => item.sourceId)
+        ]);
+        if (scores.size === 0) {
+            return [];
+        }
+
+        const rows = await database.all(
+            `SELECT id, title, content, category, subcategory, source, relevance_score
+             FROM financial_knowledge WHERE id IN (${[...scores.keys()].map(() => '?').join(', ')})`,
+            [...scores.keys()]
+        );
+
+        return rows
+            .map(({ relevance_score, ...row }) => ({
+                ...row,
+                score: scores.get(row.id) * relevance_score,
+                similarity: (semantic || []).find(item => item.sourceId === row.id)?.similarity ?? null
+            }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    // Só palavras-chave (FTS5): [{ id, title, content, category, subcategory, source, score }]
+    async keywordSearch(query, { limit = 5 } = {}) {
+        const match = this.buildMatchQuery(query);
+        if (!match) {
+            return [];
+        }
+
+        // bm25() é negativo (quanto menor, melhor); relevance_score funciona como multiplicador
+        return database.all(
+            `SELECT k.id, k.title, k.content, k.category, k.subcategory, k.source,
+                    -bm25(financial_knowledge_fts, ${BM25_WEIGHTS.join(', ')}) * k.relevance_score as score
+             FROM financial_knowledge_fts
+             JOIN financial_knowledge k ON k.id = financial_knowledge_fts.rowid
+             WHERE financial_knowledge_fts MATCH ?
+             ORDER BY score DESC
+             LIMIT ?`,
+            [match, limit]
+        );
+    }
+
+    // Expressão MATCH: termos relevantes da pergunta e sinônimos de tickers, unidos por OR
+    // (o BM25 favorece as entradas que casam mais termos). null se não sobrar nenhum termo.
+    buildMatchQuery(text) {
+        const normalized = normalizeText(text || '');
+        const words = normalized.match(/[a-z0-9]+/g) || [];
+        const terms = new Set();
+
+        for (const word of words) {
+            if (word.length >= 3 && !STOPWORDS.has(word)) {
+                terms.add(word.length >= PREFIX_MIN_LENGTH
+                    ? `"${word.slice(0, Math.max(PREFIX_MIN_LENGTH - 1, word.length - 2))}"*`
+                    : `"${word}"`);
+            }
+        }
+
+        // detectSymbols reconhece apelidos e vencimentos (WINZ25 -> WINFUT)
+        for (const symbol of detectSymbols(text || '')) {
+            (TICKER_SYNONYMS[symbol] || []).forEach(term => terms.add(`"${term}"`));
+        }
+
+        return terms.size > 0 ? [...terms].join(' OR ') : null;
+    }
+
+    // Listagem paginada com filtros por categoria/subcategoria e texto (busca full-text)
+    async list({ category = null, subcategory = null, q = null, limit = 50, offset = 0 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (category) {
+            conditions.push('k.category = ?');
+            params.push(category);
+        }
+
+        if (subcategory) {
+            conditions.push('k.subcategory = ?');
+            params.push(subcategory);
+        }
+
+        const match = q ? this.buildMatchQuery(q) : null;
+        if (q && !match) {
+            return { entries: [], total: 0 };
+        }
+        if (match) {
+            conditions.push('k.id IN (SELECT rowid FROM financial_knowledge_fts WHERE financial_knowledge_fts MATCH ?)');
+            params.push(match);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const entries = await database.all(
+            `SELECT k.* FROM financial_knowledge k ${where}
+             ORDER BY k.category, k.subcategory, k.title
+             LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
+        const { total } = await database.get(
+            `SELECT COUNT(*) as total FROM financial_knowledge k ${where}`,
+            params
+        );
+
+        return { entries, total };
+    }
+
+    // Todas as entradas, para exportação
+    all({ category = null } = {}) {
+        return database.all(
+            `SELECT * FROM financial_knowledge ${category ? 'WHERE category = ?' : ''}
+             ORDER BY category, subcategory, title`,
+            category ? [category] : []
+        );
+    }
+
+    categories() {
+        return database.all(
+            `SELECT category, subcategory, COUNT(*) as entries
+             FROM financial_knowledge
+             GROUP BY category, subcategory
+             ORDER BY category, subcategory`
+        );
+    }
+
+    get(id) {
+        return database.get('SELECT * FROM financial_knowledge WHERE id = ?', [id]);
+    }
+
+    // O título identifica a entrada (sem diferenciar maiúsculas) para deduplicação e upsert
+    findByTitle(title) {
+        return database.get(
+            'SELECT * FROM financial_knowledge WHERE title = ? COLLATE NOCASE',
+            [title.trim()]
+        );
+    }
+
+    async create(entry) {
+        const fields = FIELDS.filter(field => entry[field] !== undefined);
+        const result = await database.run(
+            `INSERT INTO financial_knowledge (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`,
+            fields.map(field => entry[field])
+        );
+
+        const created = await this.get(result.id);
+        await embeddingService.indexKnowledge(created);
+        return created;
+    }
+
+    async update(id, entry) {
+        const fields = FIELDS.filter(field => entry[field] !== undefined);
+        if (fields.length > 0) {
+            await database.run(
+                `UPDATE financial_knowledge SET ${fields.map(field => `${field} = ?`).join(', ')},
+                 updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [...fields.map(field => entry[field]), id]
+            );
+        }
+
+        const updated = await this.get(id);
+        if (updated) {
+            await embeddingService.indexKnowledge(updated);
+        }
+        return updated;
+    }
+
+    // As citações das respostas (message_knowledge) são mantidas para auditoria,
+    // com o título e a fonte da entrada excluída
+    async remove(id) {
+        await database.run(
+            `UPDATE message_knowledge SET
+                title = (SELECT title FROM financial_knowledge WHERE id = ?),
+                source = (SELECT source FROM financial_knowledge WHERE id = ?)
+             WHERE knowledge_id = ?`,
+            [id, id, id]
+        );
+        await embeddingService.remove('knowledge', id);
+        return database.run('DELETE FROM financial_knowledge WHERE id = ?', [id]);
+    }
+
+    // Citações [n] da resposta que correspondem aos trechos numerados do contexto.
+    // Blocos de código são ignorados (ma[0] não é citação). Retorna as fontes citadas,
+    // na ordem da lista do contexto: [{ id, number, title, category, subcategory, source }]
+    citedSources(content, knowledge) {
+        const text = (content || '').replace(/```[\s\S]*?```/g, ' ').replace(/`[^`\n]*`/g, ' ');
+        const numbers = new Set();
+
+        for (const match of text.matchAll(/(?<![\w\]])\[(\d+(?:\s*[,;]\s*\d+)*)\]/g)) {
+            match[1].split(/[,;]/).forEach(number => numbers.add(parseInt(number)));
+        }
+
+        return knowledge
+            .map((item, index) => ({ item, number: index + 1 }))
+            .filter(({ number }) => numbers.has(number))
+            .map(({ item, number }) => ({
+                id: item.id,
+                number,
+                title: item.title,
+                category: item.category,
+                subcategory: item.subcategory,
+                source: item.source
+            }));
+    }
+
+    // Vincula a resposta às entradas enviadas no contexto, marcando as citadas
+    async linkMessage(messageId, knowledgeIds, sources) {
+        for (const [index, knowledgeId] of knowledgeIds.entries()) {
+            await database.run(
+                'INSERT INTO message_knowledge (message_id, knowledge_id, position, cited) VALUES (?, ?, ?, ?)',
+                [messageId, knowledgeId, index + 1, sources.some(source => source.id === knowledgeId) ? 1 : 0]
+            );
+        }
+    }
+
+    // Fontes citadas nas mensagens de uma conversa (para o histórico)
+    sourcesForConversation(conversationId) {
+        return database.all(
+            `SELECT mk.message_id, mk.position as number, mk.knowledge_id as id,
+                    COALESCE(k.title, mk.title) as title, k.category, k.subcategory,
+                    COALESCE(k.source, mk.source) as source
+             FROM message_knowledge mk
+             JOIN messages m ON m.id = mk.message_id
+             LEFT JOIN financial_knowledge k ON k.id = mk.knowledge_id
+             WHERE m.conversation_id = ? AND mk.cited = 1
+             ORDER BY mk.message_id, mk.position`,
+            [conversationId]
+        );
+    }
+
+    // Quantas vezes cada entrada foi enviada no contexto e citada nas respostas
+    usage({ limit = 50, offset = 0 } = {}) {
+        return database.all(
+            `SELECT k.id, k.title, k.category, k.subcategory,
+                    COUNT(mk.id) as retrieved,
+                    COALESCE(SUM(mk.cited), 0) as cited,
+                    ROUND(COALESCE(SUM(mk.cited), 0) * 1.0 / MAX(COUNT(mk.id), 1), 3) as citation_rate,
+                    MAX(mk.created_at) as last_used_at
+             FROM financial_knowledge k
+             LEFT JOIN message_knowledge mk ON mk.knowledge_id = k.id
+             GROUP BY k.id
+             ORDER BY cited DESC, retrieved DESC, k.title
+             LIMIT ? OFFSET ?`,
+            [limit, offset]
+        );
+    }
+
+    // Importação em lote com upsert pelo título. Títulos repetidos no lote: vale a última ocorrência.
+    // Campos ausentes numa entrada existente são mantidos. dryRun só calcula o resumo.
+    async import(rawEntries, { dryRun = false } = {}) {
+        const summary = { created: 0, updated: 0, unchanged: 0, duplicates: 0, errors: [] };
+        const byTitle = new Map();
+
+        rawEntries.forEach((raw, index) => {
+            const entry = normalizeEntry(raw);
+            const problems = validateEntry(entry);
+            if (problems.length > 0) {
+                summary.errors.push({ index, title: entry.title || null, errors: problems });
+                return;
+            }
+
+            const key = entry.title.toLowerCase();
+            if (byTitle.has(key)) {
+                summary.duplicates++;
+            }
+            byTitle.set(key, entry);
+        });
+
+        for (const entry of byTitle.values()) {
+            const existing = await this.findByTitle(entry.title);
+
+            if (!existing) {
+                summary.created++;
+                if (!dryRun) {
+                    await this.create(entry);
+                }
+                continue;
+            }
+
+            const changed = FIELDS.some(field => entry[field] !== undefined && entry[field] !== existing[field]);
+            if (!changed) {
+                summary.unchanged++;
+                continue;
+            }
+
+            summary.updated++;
+            if (!dryRun) {
+                await this.update(existing.id, entry);
+            }
+        }
+
+        return summary;
+    }
+}
+
+module.exports = new KnowledgeService();
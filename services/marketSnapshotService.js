@@ -0,0 +1,153 @@
+const marketService = require('./marketService');
+const { summarizeHistory } = require('./marketTools');
+const { detectSymbols } = require('./symbolDetector');
+
+// Ativos por mensagem (perguntas que citam muitos ativos não precisam de todos no contexto)
+const MAX_SYMBOLS = 3;
+
+// Fechamentos recentes do intraday enviados no contexto
+const RECENT_CLOSES = 6;
+
+// Tempo máximo para montar o instantâneo; depois disso a resposta segue sem dados de mercado
+const SNAPSHOT_TIMEOUT = 5000;
+
+const INDICATORS = ['sma', 'ema', 'rsi', 'macd', 'bollinger'];
+
+const round = value => (typeof value === 'number' ? Math.round(value * 10000) / 10000 : null);
+
+// Preços abaixo de 100 (dólar cheio) precisam de mais casas decimais
+const price = value => value.toLocaleString('pt-BR', { maximumFractionDigits: Math.abs(value) < 100 ? 4 : 2 });
+
+// Instantâneo de mercado dos ativos citados na mensagem (cotação, intraday de 5 minutos e
+// indicadores), calculado pelo módulo de mercado no momento da pergunta. O mesmo objeto vai
+// para o prompt e é gravado com a resposta (messages.market_snapshot) para reproduzir o que a IA viu.
+class MarketSnapshotService {
+    // { takenAt, symbols: [{ symbol, quote, intraday, indicators }], unavailable: [símbolo] },
+    // ou null se a mensagem não cita ativos ou o mercado não respondeu a tempo
+    async capture(message) {
+        const symbols = detectSymbols(message).slice(0, MAX_SYMBOLS);
+        if (symbols.length === 0) {
+            return null;
+        }
+
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve(null), SNAPSHOT_TIMEOUT);
+        });
+
+        try {
+            const entries = await Promise.race([
+                Promise.all(symbols.map(symbol => this.captureSymbol(symbol))),
+                timeout
+            ]);
+            if (!entries) {
+                console.error(`Instantâneo de mercado excedeu ${SNAPSHOT_TIMEOUT}ms: ${symbols.join(', ')}`);
+                return null;
+            }
+
+            return {
+                takenAt: new Date().toISOString(),
+                symbols: entries.filter(Boolean),
+                unavailable: symbols.filter((symbol, index) => !entries[index])
+            };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Dados de um ativo, ou null sem cotação (símbolo desconhecido ou falha da fonte)
+    async captureSymbol(symbol) {
+        try {
+            const quote = await marketService.getQuote(symbol);
+            if (!quote) {
+                return null;
+            }
+
+            const [history, indicators] = await Promise.all([
+                marketService.getHistory(symbol, '1d', '5m'),
+                marketService.getIndicators(symbol, INDICATORS)
+            ]);
+            const intraday = summarizeHistory(history);
+            const { sma, ema, rsi, macd, bollinger } = indicators.indicators;
+
+            return {
+                symbol,
+                quote: {
+                    price: quote.price,
+                    change: quote.change,
+                    changePercent: quote.changePercent,
+                    open: quote.open,
+                    high: quote.high,
+                    low: quote.low,
+                    volume: quote.volume,
+                    timestamp: quote.timestamp
+                },
+                intraday: intraday.summary
+                    ? {
+                        interval: intraday.interval,
+                        ...intraday.summary,
+                        recentCloses: intraday.recent.slice(-RECENT_CLOSES).map(candle => candle.close)
+                    }
+                    : null,
+                indicators: {
+                    sma20: round(sma),
+                    ema20: round(ema),
+                    rsi14: round(rsi),
+                    macd: macd ? { macd: round(macd.macd), signal: round(macd.signal), histogram: round(macd.histogram) } : null,
+                    bollinger: bollinger
+                        ? { upper: round(bollinger.upper), middle: round(bollinger.middle), lower: round(bollinger.lower) }
+                        : null
+                }
+            };
+        } catch (error) {
+            console.error(`Erro ao capturar dados de mercado de ${symbol}:`, error);
+            return null;
+        }
+    }
+
+    // Seção do prompt de sistema com o instantâneo, uma linha por informação
+    contextFor(snapshot) {
+        const lines = [];
+
+        for (const { symbol, quote, intraday, indicators } of snapshot.symbols) {
+            const sign = quote.changePercent > 0 ? '+' : '';
+            lines.push(`- ${symbol}: último ${price(quote.price)} (${sign}${quote.changePercent.toLocaleString('pt-BR')}%), `
+                + `abertura ${price(quote.open)}, máxima ${price(quote.high)}, mínima ${price(quote.low)}, `
+                + `volume ${quote.volume.toLocaleString('pt-BR')} (cotação de ${quote.timestamp})`);
+
+            if (intraday) {
+                lines.push(`  Intraday ${intraday.interval} (${intraday.candles} candles): máxima ${price(intraday.high)}, `
+                    + `mínima ${price(intraday.low)}, últimos fechamentos ${intraday.recentCloses.map(price).join(' / ')}`);
+            }
+
+            const parts = [];
+            if (indicators.sma20 !== null) {
+                parts.push(`MMS20 ${price(indicators.sma20)}`);
+            }
+            if (indicators.ema20 !== null) {
+                parts.push(`MME20 ${price(indicators.ema20)}`);
+            }
+            if (indicators.rsi14 !== null) {
+                parts.push(`IFR14 ${indicators.rsi14.toLocaleString('pt-BR', { maximumFractionDigits: 1 })}`);
+            }
+            if (indicators.macd) {
+                parts.push(`MACD ${price(indicators.macd.macd)} (sinal ${price(indicators.macd.signal)})`);
+            }
+            if (indicators.bollinger) {
+                parts.push(`Bollinger ${price(indicators.bollinger.lower)} - ${price(indicators.bollinger.upper)}`);
+            }
+            if (parts.length > 0) {
+                lines.push(`  Indicadores: ${parts.join(', ')}`);
+            }
+        }
+
+        if (snapshot.unavailable.length > 0) {
+            lines.push(`- Sem cotação disponível para: ${snapshot.unavailable.join(', ')}. Não estime preços desses ativos.`);
+        }
+
+        return `\n\nDados de mercado (instantâneo de ${snapshot.takenAt}):\n${lines.join('\n')}\n\n`
+            + 'Use esses valores para níveis de preço e cite o horário do instantâneo; não invente cotações.';
+    }
+}
+
+module.exports = new MarketSnapshotService();
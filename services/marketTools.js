@@ -0,0 +1,126 @@
+const marketService = require('./marketService');
+
+// Ferramentas de mercado expostas aos modelos (function/tool calling).
+// As definições usam JSON Schema neutro; cada adaptador converte para o formato do provedor.
+const TOOL_DEFINITIONS = [
+    {
+        name: 'get_quote',
+        description: 'Cotação atual de um ativo da B3 (preço, variação, máxima, mínima, abertura e volume).',
+        parameters: {
+            type: 'object',
+            properties: {
+                symbol: { type: 'string', description: 'Código do ativo, ex: WINFUT, INDFUT, DOLFUT, PETR4' }
+            },
+            required: ['symbol']
+        }
+    },
+    {
+        name: 'get_history',
+        description: 'Candles históricos recentes de um ativo (OHLCV) com resumo do período.',
+        parameters: {
+            type: 'object',
+            properties: {
+                symbol: { type: 'string', description: 'Código do ativo' },
+                period: { type: 'string', enum: ['1d', '5d', '1m'], description: 'Período dos dados' },
+                interval: { type: 'string', enum: ['1m', '5m', '15m', '60m'], description: 'Intervalo dos candles' }
+            },
+            required: ['symbol']
+        }
+    },
+    {
+        name: 'get_indicators',
+        description: 'Indicadores técnicos calculados para o ativo.',
+        parameters: {
+            type: 'object',
+            properties: {
+                symbol: { type: 'string', description: 'Código do ativo' },
+                list: {
+                    type: 'array',
+                    items: { type: 'string', enum: ['sma', 'ema', 'rsi', 'macd', 'bollinger'] },
+                    description: 'Indicadores desejados'
+                }
+            },
+            required: ['symbol']
+        }
+    },
+    {
+        name: 'get_analysis',
+        description: 'Análise técnica automática do ativo (tendência, sinais, suportes e resistências).',
+        parameters: {
+            type: 'object',
+            properties: {
+                symbol: { type: 'string', description: 'Código do ativo' }
+            },
+            required: ['symbol']
+        }
+    }
+];
+
+// Limite de candles devolvidos ao modelo para não estourar o contexto
+const MAX_HISTORY_CANDLES = 30;
+
+async function executeTool(name, args = {}) {
+    if (!args.symbol) {
+        return { error: 'Parâmetro symbol é obrigatório' };
+    }
+
+    switch (name) {
+        case 'get_quote': {
+            const quote = await marketService.getQuote(args.symbol);
+            return quote || { error: `Símbolo ${args.symbol.toUpperCase()} não encontrado` };
+        }
+
+        case 'get_history': {
+            const history = await marketService.getHistory(args.symbol, args.period || '1d', args.interval || '5m');
+            return summarizeHistory(history);
+        }
+
+        case 'get_indicators':
+            return marketService.getIndicators(args.symbol, Array.isArray(args.list) && args.list.length > 0
+                ? args.list
+                : ['sma', 'ema', 'rsi', 'macd']);
+
+        case 'get_analysis':
+            return marketService.getAnalysis(args.symbol);
+
+        default:
+            return { error: `Ferramenta desconhecida: ${name}` };
+    }
+}
+
+function summarizeHistory(history) {
+    const data = history?.data || [];
+    if (data.length === 0) {
+        return { symbol: history?.symbol, error: 'Sem dados históricos' };
+    }
+
+    const round = value => Math.round(value * 100) / 100;
+
+    return {
+        symbol: history.symbol,
+        period: history.period,
+        interval: history.interval,
+        summary: {
+            candles: data.length,
+            open: round(data[0].open),
+            high: round(Math.max(...data.map(d => d.high))),
+            low: round(Math.min(...data.map(d => d.low))),
+            close: round(data[data.length - 1].close),
+            volume: data.reduce((total, d) => total + d.volume, 0)
+        },
+        recent: data.slice(-MAX_HISTORY_CANDLES).map(d => ({
+            timestamp: d.timestamp,
+            open: round(d.open),
+            high: round(d.high),
+            low: round(d.low),
+            close: round(d.close),
+            volume: d.volume
+        }))
+    };
+}
+
+module.exports = {
+    TOOL_DEFINITIONS,
+    executeTool,
+    summarizeHistory
+};
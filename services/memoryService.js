@@ -0,0 +1,84 @@
+const database = require('../database/init');
+const embeddingService = require('./embeddingService');
+const knowledgeService = require('./knowledgeService');
+
+// Mensagens de conversas anteriores enviadas no contexto por pergunta
+const CONTEXT_MEMORIES = 3;
+
+// Tamanho do trecho de cada mensagem lembrada
+const SNIPPET_LENGTH = 400;
+
+// Memória entre conversas: busca híbrida (messages_fts + embeddings) nas mensagens
+// do próprio usuário, para a IA lembrar o que foi discutido em outras conversas.
+class MemoryService {
+    // Indexa a mensagem sem atrasar a resposta; falhas ficam para o backfill
+    index(messageId, userId, content) {
+        embeddingService.indexMessage(messageId, userId, content).catch(error => {
+            console.error('Erro ao indexar mensagem:', error);
+        });
+    }
+
+    // As palavras-chave reforçam a ordem, mas só entram mensagens semanticamente próximas
+    // (a busca por termos com OR casaria qualquer conversa que cite o mesmo ativo).
+    // Se o embedder falhar, vale só a busca por palavras-chave.
+    // Retorna [{ id, conversation_id, conversation_title, role, content, created_at, score, similarity }]
+    async search(userId, query, { excludeConversationId = null, limit = CONTEXT_MEMORIES } = {}) {
+        const candidates = embeddingService.settings.candidates;
+        const match = knowledgeService.buildMatchQuery(query);
+
+        const [keyword, semantic] = await Promise.all([
+            match
+                ? database.all(
+                    `SELECT m.id FROM messages_fts
+                     JOIN messages m ON m.id = messages_fts.rowid
+                     JOIN conversations c ON c.id = m.conversation_id
+                     WHERE messages_fts MATCH ? AND c.user_id = ?
+                     ORDER BY bm25(messages_fts)
+                     LIMIT ?`,
+                    [match, userId, candidates]
+                )
+                : [],
+            embeddingService.nearest('message', query || '', { userId, limit: candidates })
+        ]);
+
+        const allowed = semantic ? new Set(semantic.map(item => item.sourceId)) : null;
+        const scores = embeddingService.fuse([
+            keyword.map(row => row.id).filter(id => !allowed || allowed.has(id)),
+            (semantic || []).map(item => item.sourceId)
+        ]);
+        if (scores.size === 0) {
+            return [];
+        }
+
+        const rows = await database.all(
+            `SELECT m.id, m.conversation_id, c.title as conversation_title, m.role, m.content, m.created_at
+             FROM messages m
+             JOIN conversations c ON c.id = m.conversation_id
+             WHERE m.id IN (${[...scores.keys()].map(() => '?').join(', ')})
+               AND c.user_id = ? AND c.id IS NOT ?`,
+            [...scores.keys(), userId, excludeConversationId]
+        );
+
+        return rows
+            .map(row => ({
+                ...row,
+                content: row.content.length > SNIPPET_LENGTH ? `${row.content.slice(0, SNIPPET_LENGTH)}...` : row.content,
+                score: scores.get(row.id),
+                similarity: (semantic || []).find(item => item.sourceId === row.id)?.similarity ?? null
+            }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    // Seção do prompt de sistema com as mensagens lembradas
+    contextFor(memories) {
+        return '\n\nConversas anteriores do usuário (memória):\n'
+            + memories.map(memory => {
+                const author = memory.role === 'user' ? 'Usuário' : 'Assistente';
+                return `- [${memory.created_at.slice(0, 10)}, conversa "${memory.conversation_title}"] ${author}: ${memory.content}`;
+            }).join('\n')
+            + '\n\nUse essas lembranças só quando forem relevantes para a pergunta atual.';
+    }
+}
+
+module.exports = new MemoryService();
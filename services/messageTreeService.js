@@ -0,0 +1,109 @@
+const database = require('../database/init');
+
+// Conversas em árvore: cada mensagem aponta para a anterior (messages.parent_id) e
+// conversations.active_message_id é a ponta do ramo exibido e enviado à IA. Regenerar uma
+// resposta ou editar uma pergunta cria um irmão da mensagem original (mesmo pai) e torna
+// o novo ramo ativo; os ramos antigos continuam disponíveis como alternativas.
+class MessageTreeService {
+    // Mensagens da raiz até leafId, em ordem. columns usa o alias m (ex.: 'm.id, m.content')
+    async path(leafId, columns = 'm.id, m.role, m.content') {
+        if (!leafId) {
+            return [];
+        }
+
+        return database.all(
+            `WITH RECURSIVE branch(id, depth) AS (
+                SELECT ?, 0
+                UNION ALL
+                SELECT m.parent_id, branch.depth + 1 FROM messages m
+                JOIN branch ON m.id = branch.id
+                WHERE m.parent_id IS NOT NULL
+             )
+             SELECT ${columns} FROM branch JOIN messages m ON m.id = branch.id
+             ORDER BY branch.depth DESC`,
+            [leafId]
+        );
+    }
+
+    // Histórico enviado à IA até leafId (padrão: ramo ativo). O resumo da conversa só vale se
+    // a última mensagem resumida está neste ramo; nesse caso o histórico começa depois dela.
+    // Resumo escrito pelo usuário sem mensagem resumida (summary_message_id nulo) vai com o histórico inteiro.
+    // Retorna { history: [{ id, role, content }], summary }
+    async history(conversation, leafId = conversation.active_message_id) {
+        const messages = await this.path(leafId);
+        if (!conversation.summary_message_id) {
+            return { history: messages, summary: conversation.summary || null };
+        }
+
+        const cut = messages.findIndex(message => message.id === conversation.summary_message_id);
+
+        if (cut === -1) {
+            return { history: messages, summary: null };
+        }
+
+        return { history: messages.slice(cut + 1), summary: conversation.summary };
+    }
+
+    // Grava a mensagem como filha de parentId e move a ponta do ramo ativo para ela
+    // (a conversa passa a ser a mais recente na listagem)
+    async append(conversationId, parentId, fields) {
+        const columns = ['conversation_id', 'parent_id', ...Object.keys(fields)];
+        const result = await database.run(
+            `INSERT INTO messages (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            [conversationId, parentId, ...Object.values(fields)]
+        );
+
+        await database.run(
+            'UPDATE conversations SET active_message_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [result.id, conversationId]
+        );
+
+        return result;
+    }
+
+    // Torna ativo o ramo que passa por messageId, seguindo sempre a resposta mais recente
+    // abaixo dela. Retorna a nova ponta
+    async activate(conversationId, messageId) {
+        let leafId = messageId;
+
+        for (;;) {
+            const child = await database.get(
+                'SELECT id FROM messages WHERE parent_id = ? ORDER BY id DESC LIMIT 1',
+                [leafId]
+            );
+            if (!child) {
+                break;
+            }
+            leafId = child.id;
+        }
+
+        await database.run(
+            'UPDATE conversations SET active_message_id = ? WHERE id = ?',
+            [leafId, conversationId]
+        );
+
+        return leafId;
+    }
+
+    // Alternativas de cada mensagem do ramo: ids das mensagens com o mesmo pai, em ordem de criação.
+    // Retorna Map id -> [ids dos irmãos, incluindo a própria mensagem]
+    async siblings(conversationId, messages) {
+        const rows = await database.all(
+            'SELECT id, parent_id FROM messages WHERE conversation_id = ? ORDER BY id ASC',
+            [conversationId]
+        );
+
+        const byParent = new Map();
+        for (const row of rows) {
+            const key = row.parent_id ?? 0;
+            if (!byParent.has(key)) {
+                byParent.set(key, []);
+            }
+            byParent.get(key).push(row.id);
+        }
+
+        return new Map(messages.map(message => [message.id, byParent.get(message.parent_id ?? 0) || [message.id]]));
+    }
+}
+
+module.exports = new MessageTreeService();
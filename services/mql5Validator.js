@@ -0,0 +1,274 @@
+// Validador estrutural de Expert Advisors MQL5 (MetaTrader 5).
+// Não é um compilador: confere as funções de evento obrigatórias, o balanceamento de
+// chaves/parênteses/colchetes e as declarações de input. Diagnósticos no mesmo formato
+// do validador NTFL: { line, column, severity: 'error' | 'warning', message }
+
+const MAX_DIAGNOSTICS = 20;
+
+// Funções de evento obrigatórias de um EA e o tipo de retorno esperado
+const EVENT_HANDLERS = {
+    OnInit: 'int',
+    OnTick: 'void',
+    OnDeinit: 'void'
+};
+
+// Envio de ordens pela biblioteca padrão (CTrade) ou pela API nativa
+const TRADE_PATTERN = /\b(OrderSend|OrderSendAsync|CTrade)\b|\.\s*(Buy|Sell|BuyLimit|SellLimit|BuyStop|SellStop|PositionOpen)\s*\(/;
+
+const PAIRS = { '{': '}', '(': ')', '[': ']' };
+const CLOSERS = { '}': '{', ')': '(', ']': '[' };
+
+// Substitui comentários e conteúdo de strings por espaços, preservando quebras de linha
+// (e portanto linha/coluna dos diagnósticos)
+function stripCode(code) {
+    let result = '';
+    let i = 0;
+
+    while (i < code.length) {
+        const char = code[i];
+        const next = code[i + 1];
+
+        if (char === '/' && next === '/') {
+            while (i < code.length && code[i] !== '\n') {
+                result += ' ';
+                i++;
+            }
+        } else if (char === '/' && next === '*') {
+            const end = code.indexOf('*/', i + 2);
+            const stop = end === -1 ? code.length : end + 2;
+            result += code.slice(i, stop).replace(/[^\n]/g, ' ');
+            i = stop;
+        } else if (char === '"' || char === '\'') {
+            result += char;
+            i++;
+            while (i < code.length && code[i] !== char && code[i] !== '\n') {
+                result += code[i] === '\\' && i + 1 < code.length ? '  ' : ' ';
+                i += code[i] === '\\' ? 2 : 1;
+            }
+            if (i < code.length) {
+                result += code[i];
+                i++;
+            }
+        } else {
+            result += char;
+            i++;
+        }
+    }
+
+    return result;
+}
+
+function positionAt(text, index) {
+    const before = text.slice(0, index);
+    const line = before.split('\n').length;
+    return { line, column: index - before.lastIndexOf('\n') };
+}
+
+// Balanceamento de {}, () e []; devolve também a profundidade de chaves de cada linha
+function checkBrackets(text, report) {
+    const stack = [];
+    const depthByLine = [0];
+    let depth = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (char === '\n') {
+            depthByLine.push(depth);
+        } else if (PAIRS[char]) {
+            stack.push({ char, index: i });
+            if (char === '{') {
+                depth++;
+            }
+        } else if (CLOSERS[char]) {
+            const open = stack[stack.length - 1];
+            if (!open || open.char !== CLOSERS[char]) {
+                report('error', `'${char}' sem '${CLOSERS[char]}' correspondente`, i);
+                continue;
+            }
+            stack.pop();
+            if (char === '}') {
+                depth--;
+            }
+        }
+    }
+
+    for (const open of stack) {
+        const { line } = positionAt(text, open.index);
+        report('error', `'${open.char}' aberto na linha ${line} não foi fechado`, open.index);
+    }
+
+    return depthByLine;
+}
+
+// Inputs declarados no escopo global: [{ name, type, default, line, column }]
+function parseInputs(code) {
+    const text = stripCode(code);
+    const inputs = [];
+    const pattern = /^[ \t]*s?input\s+(?:const\s+)?([A-Za-z_]\w*)\s+([A-Za-z_]\w*)\s*(?:=\s*([^;]*?))?\s*;/dgm;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[1] === 'group') {
+            continue;
+        }
+
+        // O valor é lido do código original: stripCode apaga o conteúdo das strings
+        const raw = match[3] === undefined ? null : code.slice(...match.indices[3]);
+        const numeric = Number(raw);
+        inputs.push({
+            name: match[2],
+            type: match[1],
+            default: raw === null || raw === '' || Number.isNaN(numeric) ? raw : numeric,
+            index: match.indices[2][0],
+            ...positionAt(text, match.indices[2][0])
+        });
+    }
+
+    return inputs;
+}
+
+function validateMql5(code) {
+    const diagnostics = [];
+    const text = stripCode(code);
+
+    const report = (severity, message, index) => {
+        if (diagnostics.length < MAX_DIAGNOSTICS) {
+            diagnostics.push({ ...positionAt(text, index), severity, message });
+        }
+    };
+
+    const depthByLine = checkBrackets(text, report);
+
+    for (const [handler, returnType] of Object.entries(EVENT_HANDLERS)) {
+        const match = new RegExp(`\\b([A-Za-z_]\\w*)\\s+${handler}\\s*\\(`).exec(text);
+        if (!match) {
+            report('error', `Função ${handler}() ausente: todo Expert Advisor deve declará-la`, 0);
+        } else if (match[1] !== returnType) {
+            report('error', `${handler}() deve retornar ${returnType}, não ${match[1]}`, match.index);
+        }
+    }
+
+    // Declarações de input: formato, escopo global, duplicidade e valor padrão
+    const declared = parseInputs(code);
+    const names = new Set();
+    const inputLine = /^[ \t]*s?input\b.*$/gm;
+    let match;
+
+    while ((match = inputLine.exec(text)) !== null) {
+        const { line } = positionAt(text, match.index);
+        const input = declared.find(item => item.line === line);
+
+        if (/^[ \t]*s?input\s+group\b/.test(match[0])) {
+            continue;
+        }
+        if (!input) {
+            report('error', 'Declaração de input inválida: use "input tipo nome = valor;"', match.index);
+            continue;
+        }
+        if (depthByLine[line - 1] > 0) {
+            report('error', `input ${input.name} deve ser declarado no escopo global`, match.index);
+        }
+        if (names.has(input.name)) {
+            report('error', `input ${input.name} declarado mais de uma vez`, match.index);
+        }
+        names.add(input.name);
+
+        if (input.default === null) {
+            report('warning', `input ${input.name} sem valor padrão`, match.index);
+        }
+    }
+
+    // Inputs são constantes em tempo de execução; o uso também é conferido
+    const unique = declared.filter((input, index) => declared.findIndex(item => item.name === input.name) === index);
+    for (const input of unique) {
+        const uses = text.match(new RegExp(`\\b${input.name}\\b`, 'g')).length - 1;
+        const assignment = new RegExp(`\\b${input.name}\\s*(=(?!=)|\\+=|-=|\\*=|/=|\\+\\+|--)`, 'g');
+        let found;
+
+        while ((found = assignment.exec(text)) !== null) {
+            if (!/^[ \t]*s?input\b/.test(text.slice(text.lastIndexOf('\n', found.index) + 1))) {
+                report('error', `input ${input.name} é somente leitura e não pode receber atribuição`, found.index);
+            }
+        }
+        if (uses === 0) {
+            report('warning', `input ${input.name} declarado mas não utilizado`, input.index);
+        }
+    }
+
+    if (declared.length === 0) {
+        report('warning', 'Nenhum parâmetro declarado com input: o EA não será configurável no MetaTrader', 0);
+    }
+
+    // Restos de NTFL comuns em traduções
+    const pascalAssignment = /:=/.exec(text);
+    if (pascalAssignment) {
+        report('error', "Atribuição ':=' é sintaxe NTFL; em MQL5 use '='", pascalAssignment.index);
+    }
+
+    if (!TRADE_PATTERN.test(text)) {
+        report('warning', 'O código não envia ordens (CTrade ou OrderSend)', 0);
+    }
+
+    diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+
+    return {
+        valid: !diagnostics.some(d => d.severity === 'error'),
+        diagnostics
+    };
+}
+
+// Linguagens de bloco tratadas como MQL5 (blocos sem linguagem também)
+const MQL5_LANGUAGES = ['', 'mql5', 'mq5', 'mql', 'cpp', 'c++'];
+
+function extractMql5Blocks(content) {
+    const blocks = [];
+    const pattern = /```([\w+#-]*)[^\n]*\n([\s\S]*?)```/g;
+    let match;
+
+    while ((match = pattern.exec(content || '')) !== null) {
+        if (MQL5_LANGUAGES.includes(match[1].toLowerCase())) {
+            blocks.push({ language: match[1].toLowerCase(), code: match[2], start: match.index });
+        }
+    }
+
+    return blocks;
+}
+
+// Valida todos os blocos MQL5 de uma resposta. Retorna null se não houver código
+function validateCodeBlocks(content) {
+    const blocks = extractMql5Blocks(content)
+        .map((block, index) => ({ index: index + 1, language: block.language || 'mql5', ...validateMql5(block.code) }));
+
+    if (blocks.length === 0) {
+        return null;
+    }
+
+    const errorCount = blocks.reduce(
+        (total, block) => total + block.diagnostics.filter(d => d.severity === 'error').length,
+        0
+    );
+
+    return { valid: errorCount === 0, errorCount, blocks };
+}
+
+function repairPrompt(report) {
+    const problems = report.blocks
+        .filter(block => !block.valid)
+        .flatMap(block => block.diagnostics
+            .filter(d => d.severity === 'error')
+            .map(d => `- Bloco ${block.index}, linha ${d.line}, coluna ${d.column}: ${d.message}`))
+        .join('\n');
+
+    return `O código MQL5 da sua resposta tem erros estruturais:\n${problems}\n\n`
+        + 'Reescreva a resposta completa com o Expert Advisor corrigido, mantendo a explicação e usando blocos ```mql5.';
+}
+
+module.exports = {
+    validateMql5,
+    validateCodeBlocks,
+    extractMql5Blocks,
+    parseInputs,
+    repairPrompt,
+    stripCode
+};
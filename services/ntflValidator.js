@@ -0,0 +1,673 @@
+// Validador/linter do subconjunto de NTFL (NTSL) usado nos robôs do Profit (Nelogica).
+// Cobre blocos input/var/const, begin/end, if/then/else, for/while/repeat, atribuições,
+// ordens e funções nativas. Retorna diagnósticos com linha/coluna (base 1).
+
+const KEYWORDS = [
+    'input', 'var', 'const', 'begin', 'end', 'if', 'then', 'else', 'for', 'to', 'downto',
+    'do', 'while', 'repeat', 'until', 'and', 'or', 'not', 'xor', 'mod', 'div', 'true', 'false'
+];
+
+const TYPES = ['integer', 'float', 'real', 'boolean', 'string'];
+
+// Séries e valores nativos (usados sem parênteses; aceitam deslocamento: Close[1])
+const BUILTIN_SERIES = [
+    'open', 'high', 'low', 'close', 'volume', 'quantity', 'date', 'time', 'currentdate',
+    'currenttime', 'currentbar', 'lastbaronchart', 'hasposition', 'isbought', 'issold',
+    'position', 'buyposition', 'sellposition', 'buyprice', 'sellprice', 'pricescale', 'minpricei'
+];
+
+// Funções nativas: [mínimo, máximo] de argumentos
+const BUILTIN_FUNCTIONS = {
+    average: [2, 2], media: [2, 2], xaverage: [2, 2], mediaexp: [2, 2], wavg: [2, 2],
+    rsi: [1, 2], ifr: [1, 2], macd: [2, 3], stochastic: [2, 3], atr: [1, 1], adx: [1, 1],
+    bollingerbands: [2, 3], vwap: [0, 1], obv: [0, 0],
+    crossover: [2, 2], crossunder: [2, 2], highest: [2, 2], lowest: [2, 2],
+    opend: [1, 1], highd: [1, 1], lowd: [1, 1], closed: [1, 1],
+    abs: [1, 1], max: [2, 2], min: [2, 2], round: [1, 2], sqrt: [1, 1], power: [2, 2],
+    floor: [1, 1], ceiling: [1, 1], intportion: [1, 1], fracportion: [1, 1], log: [1, 1],
+    inttostr: [1, 1], floattostr: [1, 2], strtoint: [1, 1], strtofloat: [1, 1]
+};
+
+// Ordens e comandos de gráfico (procedimentos, não retornam valor)
+const ORDERS = {
+    buyatmarket: [0, 1], sellshortatmarket: [0, 1], buytocoveratmarket: [0, 1], selltocoveratmarket: [0, 1],
+    buylimit: [1, 2], buystop: [1, 3], sellshortlimit: [1, 2], sellshortstop: [1, 3],
+    buytocoverlimit: [1, 2], buytocoverstop: [1, 3], selltocoverlimit: [1, 2], selltocoverstop: [1, 3],
+    closeposition: [0, 0], reverseposition: [0, 0], cancelpendingorders: [0, 0]
+};
+
+const PLOT_COMMANDS = {
+    plot: [1, 1], plot2: [1, 1], plot3: [1, 1], plot4: [1, 1], plot5: [1, 1],
+    plotn: [2, 2], setplotcolor: [2, 2], setplotwidth: [2, 2], setplotstyle: [2, 2],
+    paintbar: [1, 1], alert: [0, 1]
+};
+
+const MAX_DIAGNOSTICS = 20;
+
+class NtflSyntaxError extends Error {
+    constructor(message, token) {
+        super(message);
+        this.token = token;
+    }
+}
+
+function tokenize(code, diagnostics) {
+    const tokens = [];
+    let line = 1;
+    let column = 1;
+    let i = 0;
+
+    const advance = count => {
+        for (let k = 0; k < count; k++) {
+            if (code[i] === '\n') {
+                line++;
+                column = 1;
+            } else {
+                column++;
+            }
+            i++;
+        }
+    };
+
+    while (i < code.length) {
+        const char = code[i];
+        const rest = code.slice(i);
+
+        if (/\s/.test(char)) {
+            advance(1);
+            continue;
+        }
+
+        // Comentários: // linha, { bloco } e (* bloco *)
+        if (rest.startsWith('//')) {
+            const end = code.indexOf('\n', i);
+            advance((end === -1 ? code.length : end) - i);
+            continue;
+        }
+
+        if (char === '{' || rest.startsWith('(*')) {
+            const closer = char === '{' ? '}' : '*)';
+            const end = code.indexOf(closer, i + 1);
+            if (end === -1) {
+                diagnostics.push({ line, column, severity: 'error', message: 'Comentário não fechado' });
+                break;
+            }
+            advance(end + closer.length - i);
+            continue;
+        }
+
+        const start = { line, column };
+
+        if (/[0-9]/.test(char)) {
+            const match = /^[0-9]+(\.[0-9]+)?/.exec(rest);
+            tokens.push({ type: 'number', value: match[0], ...start });
+            advance(match[0].length);
+            continue;
+        }
+
+        if (char === '\'' || char === '"') {
+            let end = i + 1;
+            while (end < code.length && code[end] !== char && code[end] !== '\n') {
+                end++;
+            }
+            if (code[end] !== char) {
+                diagnostics.push({ ...start, severity: 'error', message: 'String não fechada' });
+                advance(end - i);
+                continue;
+            }
+            tokens.push({ type: 'string', value: code.slice(i, end + 1), ...start });
+            advance(end + 1 - i);
+            continue;
+        }
+
+        if (/[A-Za-z_]/.test(char)) {
+            const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(rest);
+            const lower = match[0].toLowerCase();
+            tokens.push({
+                type: KEYWORDS.includes(lower) ? 'keyword' : 'identifier',
+                value: match[0],
+                lower,
+                ...start
+            });
+            advance(match[0].length);
+            continue;
+        }
+
+        const symbol = [':=', '<=', '>=', '<>'].find(op => rest.startsWith(op))
+            || ('()[],;:+-*/=<>.'.includes(char) ? char : null);
+        if (symbol) {
+            tokens.push({ type: 'symbol', value: symbol, ...start });
+            advance(symbol.length);
+            continue;
+        }
+
+        diagnostics.push({ ...start, severity: 'error', message: `Caractere inesperado '${char}'` });
+        advance(1);
+    }
+
+    tokens.push({ type: 'eof', value: 'fim do código', line, column });
+    return tokens;
+}
+
+class Parser {
+    constructor(tokens, diagnostics) {
+        this.tokens = tokens;
+        this.pos = 0;
+        this.diagnostics = diagnostics;
+        this.inputs = new Map();
+        this.vars = new Map();
+        this.consts = new Map();
+        this.used = new Set();
+        this.hasOrders = false;
+        this.hasPlots = false;
+    }
+
+    get current() {
+        return this.tokens[this.pos];
+    }
+
+    next() {
+        const token = this.current;
+        if (token.type !== 'eof') {
+            this.pos++;
+        }
+        return token;
+    }
+
+    isKeyword(...words) {
+        return this.current.type === 'keyword' && words.includes(this.current.lower);
+    }
+
+    isSymbol(...symbols) {
+        return this.current.type === 'symbol' && symbols.includes(this.current.value);
+    }
+
+    expectKeyword(word) {
+        if (!this.isKeyword(word)) {
+            throw new NtflSyntaxError(`'${word}' esperado, encontrado '${this.current.value}'`, this.current);
+        }
+        return this.next();
+    }
+
+    expectSymbol(symbol) {
+        if (!this.isSymbol(symbol)) {
+            throw new NtflSyntaxError(`'${symbol}' esperado, encontrado '${this.current.value}'`, this.current);
+        }
+        return this.next();
+    }
+
+    expectIdentifier() {
+        if (this.current.type !== 'identifier') {
+            throw new NtflSyntaxError(`Identificador esperado, encontrado '${this.current.value}'`, this.current);
+        }
+        return this.next();
+    }
+
+    report(severity, message, token) {
+        this.diagnostics.push({ line: token.line, column: token.column, severity, message });
+    }
+
+    // Pula até depois do próximo ';' (ou até uma palavra que encerra bloco) após um erro
+    synchronize(stopWords = ['end', 'else', 'until']) {
+        while (this.current.type !== 'eof' && !this.isSymbol(';') && !this.isKeyword(...stopWords)) {
+            this.next();
+        }
+        if (this.isSymbol(';')) {
+            this.next();
+        }
+    }
+
+    parseProgram() {
+        while (this.isKeyword('input', 'var', 'const')) {
+            const section = this.next().lower;
+            this.parseSection(section);
+        }
+
+        try {
+            this.expectKeyword('begin');
+        } catch (error) {
+            this.report('error', error.message, error.token);
+            return;
+        }
+
+        this.parseStatementList(['end']);
+        const end = this.current;
+
+        try {
+            this.expectKeyword('end');
+            if (this.isSymbol(';', '.')) {
+                this.next();
+            }
+        } catch (error) {
+            this.report('error', error.message, error.token);
+            return;
+        }
+
+        if (this.current.type !== 'eof') {
+            this.report('error', `Código após o 'end' final (linha ${end.line})`, this.current);
+        }
+    }
+
+    parseSection(section) {
+        while (this.current.type === 'identifier') {
+            try {
+                if (section === 'input') {
+                    this.parseInput();
+                } else if (section === 'const') {
+                    this.parseConst();
+                } else {
+                    this.parseVar();
+                }
+            } catch (error) {
+                this.report('error', error.message, error.token);
+                this.synchronize(['input', 'var', 'const', 'begin']);
+            }
+        }
+    }
+
+    // Periodo(20);
+    parseInput() {
+        const name = this.expectIdentifier();
+        this.declare(this.inputs, name, 'input');
+        this.expectSymbol('(');
+        this.parseExpression();
+        this.expectSymbol(')');
+        this.expectSymbol(';');
+    }
+
+    // Fator = 1.5;
+    parseConst() {
+        const name = this.expectIdentifier();
+        this.declare(this.consts, name, 'constante');
+        this.expectSymbol('=');
+        this.parseExpression();
+        this.expectSymbol(';');
+    }
+
+    // a, b : Float;
+    parseVar() {
+        const names = [this.expectIdentifier()];
+        while (this.isSymbol(',')) {
+            this.next();
+            names.push(this.expectIdentifier());
+        }
+        this.expectSymbol(':');
+        const type = this.expectIdentifier();
+        if (!TYPES.includes(type.lower)) {
+            this.report('warning', `Tipo desconhecido '${type.value}' (use ${TYPES.join(', ')})`, type);
+        }
+        this.expectSymbol(';');
+        names.forEach(name => this.declare(this.vars, name, 'variável'));
+    }
+
+    declare(table, token, kind) {
+        const lower = token.lower;
+        if (this.inputs.has(lower) || this.vars.has(lower) || this.consts.has(lower)) {
+            this.report('error', `'${token.value}' já foi declarado`, token);
+        } else if (this.isBuiltin(lower)) {
+            this.report('error', `'${token.value}' é um nome reservado do NTFL e não pode ser ${kind}`, token);
+        }
+        table.set(lower, token);
+    }
+
+    isBuiltin(lower) {
+        return BUILTIN_SERIES.includes(lower) || lower in BUILTIN_FUNCTIONS || lower in ORDERS
+            || lower in PLOT_COMMANDS;
+    }
+
+    // Sequência de comandos separados por ';' até uma das palavras de parada
+    parseStatementList(terminators) {
+        while (this.current.type !== 'eof' && !this.isKeyword(...terminators)) {
+            if (this.diagnostics.length >= MAX_DIAGNOSTICS) {
+                return;
+            }
+
+            if (this.isSymbol(';')) {
+                this.next();
+                continue;
+            }
+
+            const start = this.pos;
+            try {
+                this.parseStatement();
+
+                if (this.isKeyword('else')) {
+                    throw new NtflSyntaxError('\'else\' sem \'if\' correspondente (remova o \';\' antes do else)', this.current);
+                }
+                if (!this.isSymbol(';') && !this.isKeyword(...terminators) && this.current.type !== 'eof') {
+                    throw new NtflSyntaxError(`';' esperado, encontrado '${this.current.value}'`, this.current);
+                }
+            } catch (error) {
+                if (!(error instanceof NtflSyntaxError)) {
+                    throw error;
+                }
+                this.report('error', error.message, error.token);
+                this.synchronize();
+                if (this.pos === start) {
+                    this.next();
+                }
+            }
+        }
+    }
+
+    parseStatement() {
+        const token = this.current;
+
+        if (this.isKeyword('begin')) {
+            this.next();
+            this.parseStatementList(['end']);
+            this.expectKeyword('end');
+            return;
+        }
+
+        if (this.isKeyword('if')) {
+            this.next();
+            this.parseExpression();
+            this.expectKeyword('then');
+            this.parseStatement();
+            if (this.isSymbol(';') && this.tokens[this.pos + 1]?.lower === 'else') {
+                this.report('error', '\';\' antes de else não é permitido', this.current);
+                this.next();
+            }
+            if (this.isKeyword('else')) {
+                this.next();
+                this.parseStatement();
+            }
+            return;
+        }
+
+        if (this.isKeyword('for')) {
+            this.next();
+            const counter = this.expectIdentifier();
+            this.checkAssignable(counter);
+            this.expectSymbol(':=');
+            this.parseExpression();
+            if (!this.isKeyword('to', 'downto')) {
+                throw new NtflSyntaxError(`'to' ou 'downto' esperado, encontrado '${this.current.value}'`, this.current);
+            }
+            this.next();
+            this.parseExpression();
+            this.expectKeyword('do');
+            this.parseStatement();
+            return;
+        }
+
+        if (this.isKeyword('while')) {
+            this.next();
+            this.parseExpression();
+            this.expectKeyword('do');
+            this.parseStatement();
+            return;
+        }
+
+        if (this.isKeyword('repeat')) {
+            this.next();
+            this.parseStatementList(['until']);
+            this.expectKeyword('until');
+            this.parseExpression();
+            return;
+        }
+
+        if (token.type === 'identifier') {
+            this.next();
+
+            if (this.isSymbol(':=')) {
+                this.checkAssignable(token);
+                this.next();
+                this.parseExpression();
+                return;
+            }
+
+            if (this.isSymbol('[')) {
+                throw new NtflSyntaxError(`Não é possível atribuir a um valor passado de '${token.value}'`, this.current);
+            }
+
+            // Chamada de procedimento (ordem, plot) com ou sem parênteses
+            const args = this.isSymbol('(') ? this.parseArguments() : 0;
+            this.checkProcedure(token, args);
+            return;
+        }
+
+        throw new NtflSyntaxError(`Comando inválido: '${token.value}'`, token);
+    }
+
+    checkAssignable(token) {
+        const lower = token.lower;
+        if (this.inputs.has(lower)) {
+            this.report('error', `Input '${token.value}' não pode receber atribuição`, token);
+        } else if (this.consts.has(lower)) {
+            this.report('error', `Constante '${token.value}' não pode receber atribuição`, token);
+        } else if (this.isBuiltin(lower)) {
+            this.report('error', `'${token.value}' é nativo do NTFL e não pode receber atribuição`, token);
+        } else if (!this.vars.has(lower)) {
+            this.report('error', `Variável '${token.value}' não declarada no bloco var`, token);
+        }
+        this.used.add(lower);
+    }
+
+    checkProcedure(token, args) {
+        const lower = token.lower;
+        const arity = ORDERS[lower] || PLOT_COMMANDS[lower];
+
+        if (!arity) {
+            if (lower in BUILTIN_FUNCTIONS) {
+                this.report('warning', `Resultado de '${token.value}' não é usado`, token);
+            } else {
+                this.report('error', `Procedimento desconhecido '${token.value}'`, token);
+            }
+            return;
+        }
+
+        if (lower in ORDERS) {
+            this.hasOrders = true;
+        } else {
+            this.hasPlots = true;
+        }
+        this.checkArity(token, args, arity);
+    }
+
+    checkArity(token, args, [min, max]) {
+        if (args < min || args > max) {
+            const expected = min === max ? `${min}` : `${min} a ${max}`;
+            this.report('error', `'${token.value}' espera ${expected} argumento(s), recebeu ${args}`, token);
+        }
+    }
+
+    // Retorna o número de argumentos
+    parseArguments() {
+        this.expectSymbol('(');
+        if (this.isSymbol(')')) {
+            this.next();
+            return 0;
+        }
+
+        let count = 0;
+        do {
+            if (count > 0) {
+                this.next();
+            }
+            this.parseExpression();
+            count++;
+        } while (this.isSymbol(','));
+
+        this.expectSymbol(')');
+        return count;
+    }
+
+    // Precedência Pascal: relacionais < aditivos (+ - or xor) < multiplicativos (* / div mod and) < unários
+    parseExpression() {
+        this.parseSimpleExpression();
+        while (this.isSymbol('=', '<>', '<', '>', '<=', '>=')) {
+            this.next();
+            this.parseSimpleExpression();
+        }
+    }
+
+    parseSimpleExpression() {
+        this.parseTerm();
+        while (this.isSymbol('+', '-') || this.isKeyword('or', 'xor')) {
+            this.next();
+            this.parseTerm();
+        }
+    }
+
+    parseTerm() {
+        this.parseFactor();
+        while (this.isSymbol('*', '/') || this.isKeyword('and', 'div', 'mod')) {
+            this.next();
+            this.parseFactor();
+        }
+    }
+
+    parseFactor() {
+        const token = this.current;
+
+        if (this.isKeyword('not') || this.isSymbol('-', '+')) {
+            this.next();
+            this.parseFactor();
+            return;
+        }
+
+        if (token.type === 'number' || token.type === 'string' || this.isKeyword('true', 'false')) {
+            this.next();
+            return;
+        }
+
+        if (this.isSymbol('(')) {
+            this.next();
+            this.parseExpression();
+            this.expectSymbol(')');
+            return;
+        }
+
+        if (token.type === 'identifier') {
+            this.next();
+            const args = this.isSymbol('(') ? this.parseArguments() : null;
+            this.checkReference(token, args);
+
+            if (this.isSymbol('[')) {
+                this.next();
+                this.parseExpression();
+                this.expectSymbol(']');
+            }
+            return;
+        }
+
+        throw new NtflSyntaxError(`Expressão esperada, encontrado '${token.value}'`, token);
+    }
+
+    checkReference(token, args) {
+        const lower = token.lower;
+        this.used.add(lower);
+
+        if (lower in BUILTIN_FUNCTIONS) {
+            this.checkArity(token, args || 0, BUILTIN_FUNCTIONS[lower]);
+            return;
+        }
+
+        if (lower in ORDERS || lower in PLOT_COMMANDS) {
+            this.report('error', `'${token.value}' é um comando e não retorna valor`, token);
+            return;
+        }
+
+        const declared = this.inputs.has(lower) || this.vars.has(lower) || this.consts.has(lower);
+        if (args !== null && (declared || BUILTIN_SERIES.includes(lower))) {
+            this.report('error', `'${token.value}' não é uma função`, token);
+            return;
+        }
+
+        // Constantes de cor (clRed, clGreen...) são aceitas sem declaração
+        if (!declared && !BUILTIN_SERIES.includes(lower) && !/^cl[a-z]+$/.test(lower)) {
+            this.report('warning', `Identificador desconhecido '${token.value}'`, token);
+        }
+    }
+
+    finish() {
+        for (const [lower, token] of [...this.vars, ...this.inputs]) {
+            if (!this.used.has(lower)) {
+                this.report('warning', `'${token.value}' declarado mas não utilizado`, token);
+            }
+        }
+
+        if (!this.hasOrders && !this.hasPlots) {
+            this.report('warning', 'O código não envia ordens nem plota valores', this.tokens[0]);
+        }
+    }
+}
+
+// Valida um trecho de código NTFL. Retorna { valid, diagnostics }
+function validateNtfl(code) {
+    const diagnostics = [];
+    const tokens = tokenize(code, diagnostics);
+    const parser = new Parser(tokens, diagnostics);
+
+    parser.parseProgram();
+    if (!diagnostics.some(diagnostic => diagnostic.severity === 'error')) {
+        parser.finish();
+    }
+
+    diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+
+    return {
+        valid: !diagnostics.some(diagnostic => diagnostic.severity === 'error'),
+        diagnostics: diagnostics.slice(0, MAX_DIAGNOSTICS)
+    };
+}
+
+// Blocos ``` de uma resposta em markdown: [{ language, code, start }]
+function extractCodeBlocks(content) {
+    const blocks = [];
+    const pattern = /```([\w+#-]*)[^\n]*\n([\s\S]*?)```/g;
+    let match;
+
+    while ((match = pattern.exec(content || '')) !== null) {
+        blocks.push({ language: match[1].toLowerCase(), code: match[2], start: match.index });
+    }
+
+    return blocks;
+}
+
+// Linguagens de bloco tratadas como NTFL (blocos sem linguagem também)
+const NTFL_LANGUAGES = ['', 'ntfl', 'ntsl', 'pascal', 'delphi'];
+
+function extractNtflBlocks(content) {
+    return extractCodeBlocks(content).filter(block => NTFL_LANGUAGES.includes(block.language));
+}
+
+// Valida todos os blocos NTFL de uma resposta. Retorna null se não houver código
+function validateCodeBlocks(content) {
+    const blocks = extractNtflBlocks(content)
+        .map((block, index) => ({ index: index + 1, language: block.language || 'ntfl', ...validateNtfl(block.code) }));
+
+    if (blocks.length === 0) {
+        return null;
+    }
+
+    const errorCount = blocks.reduce(
+        (total, block) => total + block.diagnostics.filter(d => d.severity === 'error').length,
+        0
+    );
+
+    return { valid: errorCount === 0, errorCount, blocks };
+}
+
+function repairPrompt(report) {
+    const problems = report.blocks
+        .filter(block => !block.valid)
+        .flatMap(block => block.diagnostics
+            .filter(d => d.severity === 'error')
+            .map(d => `- Bloco ${block.index}, linha ${d.line}, coluna ${d.column}: ${d.message}`))
+        .join('\n');
+
+    return `O código NTFL da sua resposta tem erros de sintaxe:\n${problems}\n\n`
+        + 'Reescreva a resposta completa com o código corrigido, mantendo a explicação e usando blocos ```ntfl.';
+}
+
+module.exports = {
+    validateNtfl,
+    validateCodeBlocks,
+    extractCodeBlocks,
+    extractNtflBlocks,
+    repairPrompt,
+    tokenize
+};
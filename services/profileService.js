@@ -0,0 +1,188 @@
+const database = require('../database/init');
+const tradeSetupService = require('./tradeSetupService');
+
+// Fatos com significado conhecido: entram no cálculo do dimensionamento das posições.
+// Os demais fatos (livres) vão como texto para a IA
+const FACT_FIELDS = {
+    capital: { label: 'Capital disponível', type: 'money' },
+    max_daily_loss: { label: 'Perda diária máxima', type: 'money' },
+    risk_per_trade_pct: { label: 'Risco máximo por operação (% do capital)', type: 'percent' },
+    broker: { label: 'Corretora', type: 'text' }
+};
+
+const MAX_FACTS = 20;
+const MAX_FACT_KEY = 40;
+const MAX_FACT_VALUE = 300;
+
+// Risco por operação (% do capital) quando o usuário não informa risk_per_trade_pct
+const DEFAULT_RISK_PCT = { low: 0.5, medium: 1, high: 2 };
+
+const RISK_GUIDANCE = {
+    low: 'baixa: priorize preservação de capital, stops curtos, poucas operações e alavancagem mínima; não sugira estratégias agressivas',
+    medium: 'média: equilibre retorno e risco, com stop definido em toda operação',
+    high: 'alta: aceita operações mais agressivas, mas sempre com stop e dentro dos limites de perda informados'
+};
+
+const STYLE_GUIDANCE = {
+    day_trade: 'day trade: operações abertas e encerradas no mesmo dia, tempos gráficos curtos (1 a 60 minutos)',
+    swing_trade: 'swing trade: operações de dias a semanas, gráfico diário e 60 minutos; evite scalping',
+    position_trade: 'position trade: operações de semanas a meses, foco em tendência e fundamentos; evite scalping e day trade'
+};
+
+const money = value => `R$ ${value.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Perfil de trading do usuário (user_settings + fatos livres em user_settings.facts, JSON)
+// transformado em orientações estruturadas para o prompt e em limites de tamanho de posição.
+class ProfileService {
+    // { riskTolerance, tradingStyle, preferredAssets, facts } ou null sem configurações
+    async load(userId) {
+        const settings = await database.get(
+            'SELECT preferred_assets, risk_tolerance, trading_style, facts FROM user_settings WHERE user_id = ?',
+            [userId]
+        );
+        if (!settings) {
+            return null;
+        }
+
+        return {
+            riskTolerance: settings.risk_tolerance,
+            tradingStyle: settings.trading_style,
+            preferredAssets: this.parseJson(settings.preferred_assets, []),
+            facts: this.parseJson(settings.facts, {})
+        };
+    }
+
+    parseJson(value, fallback) {
+        try {
+            return value ? JSON.parse(value) : fallback;
+        } catch (error) {
+            return fallback;
+        }
+    }
+
+    // Atualização parcial dos fatos: valor null remove o fato. Retorna { facts, errors }
+    mergeFacts(current, updates) {
+        const facts = { ...current };
+        const errors = [];
+
+        for (const [rawKey, value] of Object.entries(updates)) {
+            const key = rawKey.trim().toLowerCase();
+            if (!key || key.length > MAX_FACT_KEY) {
+                errors.push(`Nome do fato inválido: "${rawKey}" (até ${MAX_FACT_KEY} caracteres)`);
+                continue;
+            }
+
+            if (value === null) {
+                delete facts[key];
+                continue;
+            }
+
+            const field = FACT_FIELDS[key];
+            if (field && field.type !== 'text') {
+                const number = Number(value);
+                if (!Number.isFinite(number) || number <= 0 || (field.type === 'percent' && number > 100)) {
+                    errors.push(`${key} deve ser um número positivo${field.type === 'percent' ? ' até 100' : ''}`);
+                    continue;
+                }
+                facts[key] = number;
+                continue;
+            }
+
+            if (typeof value !== 'string' && typeof value !== 'number') {
+                errors.push(`${key} deve ser texto ou número`);
+                continue;
+            }
+
+            const text = String(value).trim();
+            if (!text || text.length > MAX_FACT_VALUE) {
+                errors.push(`${key} deve ter entre 1 e ${MAX_FACT_VALUE} caracteres`);
+                continue;
+            }
+            facts[key] = text;
+        }
+
+        if (Object.keys(facts).length > MAX_FACTS) {
+            errors.push(`Máximo de ${MAX_FACTS} fatos no perfil`);
+        }
+
+        return { facts, errors };
+    }
+
+    // Limites de risco: por operação = capital x % (pelo fato ou pela tolerância a risco),
+    // nunca acima da perda diária máxima. null sem capital nem perda diária informados
+    sizing(profile) {
+        const { capital, max_daily_loss: maxDailyLoss, risk_per_trade_pct: riskPct } = profile?.facts || {};
+        if (!capital && !maxDailyLoss) {
+            return null;
+        }
+
+        const riskPerTradePct = riskPct || DEFAULT_RISK_PCT[profile.riskTolerance] || DEFAULT_RISK_PCT.medium;
+        const limits = [
+            capital ? capital * riskPerTradePct / 100 : null,
+            maxDailyLoss || null
+        ].filter(Boolean);
+
+        return {
+            capital: capital || null,
+            riskPerTradePct: capital ? riskPerTradePct : null,
+            maxDailyLoss: maxDailyLoss || null,
+            maxRiskPerTrade: Math.round(Math.min(...limits) * 100) / 100
+        };
+    }
+
+    // Quantidade máxima de contratos/lotes do setup dentro do risco por operação. O risco por
+    // contrato vem de risk.points x valor do ponto do ativo; sem valor conhecido não há dimensionamento
+    sizeSetup(profile, setup) {
+        const sizing = this.sizing(profile);
+        const riskPerContract = setup ? tradeSetupService.riskPerContract(setup) : null;
+        if (!sizing || !riskPerContract) {
+            return null;
+        }
+
+        const contracts = Math.floor(sizing.maxRiskPerTrade / riskPerContract);
+        return {
+            maxRiskBrl: sizing.maxRiskPerTrade,
+            contracts,
+            exceedsLimit: contracts < 1
+        };
+    }
+
+    // Seção do prompt de sistema com o perfil e os limites de risco
+    contextFor(profile) {
+        const lines = [];
+
+        if (RISK_GUIDANCE[profile.riskTolerance]) {
+            lines.push(`- Tolerância a risco ${RISK_GUIDANCE[profile.riskTolerance]}`);
+        }
+        if (STYLE_GUIDANCE[profile.tradingStyle]) {
+            lines.push(`- Estilo ${STYLE_GUIDANCE[profile.tradingStyle]}`);
+        }
+        if (profile.preferredAssets.length > 0) {
+            lines.push(`- Ativos preferidos: ${profile.preferredAssets.join(', ')}`);
+        }
+
+        for (const [key, value] of Object.entries(profile.facts)) {
+            const field = FACT_FIELDS[key];
+            if (!field) {
+                lines.push(`- ${key}: ${value}`);
+            } else if (field.type === 'money') {
+                lines.push(`- ${field.label}: ${money(value)}`);
+            } else if (field.type === 'percent') {
+                lines.push(`- ${field.label}: ${value}%`);
+            } else {
+                lines.push(`- ${field.label}: ${value}`);
+            }
+        }
+
+        const sizing = this.sizing(profile);
+        if (sizing) {
+            lines.push(`- Risco máximo por operação: ${money(sizing.maxRiskPerTrade)}. `
+                + 'Ao sugerir uma operação, dimensione a posição para que a perda até o stop não passe desse valor '
+                + '(quantidade = risco máximo / risco por contrato) e avise quando nem um contrato couber no limite.');
+        }
+
+        return '\n\nPerfil do usuário (adapte as recomendações a ele):\n' + lines.join('\n');
+    }
+}
+
+module.exports = new ProfileService();
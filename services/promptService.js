@@ -0,0 +1,139 @@
+const database = require('../database/init');
+
+// Usado apenas se a tabela system_prompts estiver vazia para o modo e para consulta
+const FALLBACK_PROMPT = 'Você é um analista financeiro especializado no mercado brasileiro.';
+
+// Prompts de sistema versionados por modo (tabela system_prompts).
+// Cada par modo/plano tem no máximo uma versão ativa; plan NULL vale para todos os planos
+// e só é usado quando não existe variante ativa específica do plano do usuário.
+class PromptService {
+    constructor() {
+        this.cache = new Map();
+    }
+
+    // Retorna { id, mode, plan, version, content } da versão ativa
+    async getActivePrompt(mode, plan = 'free') {
+        const key = `${mode}:${plan}`;
+        if (!this.cache.has(key)) {
+            const prompt = await this.findActive(mode, plan) || await this.findActive('consulta', plan);
+            this.cache.set(key, prompt || { id: null, mode, plan: null, version: 0, content: FALLBACK_PROMPT });
+        }
+        return this.cache.get(key);
+    }
+
+    findActive(mode, plan) {
+        return database.get(
+            `SELECT id, mode, plan, version, content FROM system_prompts
+             WHERE mode = ? AND is_active = 1 AND (plan = ? OR plan IS NULL)
+             ORDER BY plan IS NULL ASC
+             LIMIT 1`,
+            [mode, plan]
+        );
+    }
+
+    invalidate() {
+        this.cache.clear();
+    }
+
+    list(mode = null, plan) {
+        const conditions = [];
+        const params = [];
+
+        if (mode) {
+            conditions.push('p.mode = ?');
+            params.push(mode);
+        }
+
+        if (plan !== undefined) {
+            conditions.push('p.plan IS ?');
+            params.push(plan);
+        }
+
+        return database.all(
+            `SELECT p.*, (SELECT COUNT(*) FROM messages m WHERE m.prompt_version_id = p.id) as messages
+             FROM system_prompts p
+             ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+             ORDER BY p.mode, p.plan, p.version DESC`,
+            params
+        );
+    }
+
+    get(id) {
+        return database.get('SELECT * FROM system_prompts WHERE id = ?', [id]);
+    }
+
+    // Cria a próxima versão do par modo/plano (opcionalmente já ativa)
+    async createVersion({ mode, plan = null, content, author = null, notes = null, activate = false }) {
+        const last = await database.get(
+            'SELECT MAX(version) as version FROM system_prompts WHERE mode = ? AND plan IS ?',
+            [mode, plan]
+        );
+
+        const result = await database.run(
+            `INSERT INTO system_prompts (mode, plan, version, content, author, notes)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [mode, plan, (last?.version || 0) + 1, content, author, notes]
+        );
+
+        if (activate) {
+            await this.activate(result.id);
+        }
+
+        return this.get(result.id);
+    }
+
+    async activate(id) {
+        const prompt = await this.get(id);
+        if (!prompt) {
+            return null;
+        }
+
+        await database.run(
+            'UPDATE system_prompts SET is_active = 0 WHERE mode = ? AND plan IS ?',
+            [prompt.mode, prompt.plan]
+        );
+        await database.run(
+            'UPDATE system_prompts SET is_active = 1, activated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [id]
+        );
+
+        this.invalidate();
+        return this.get(id);
+    }
+
+    // Desativar a variante de um plano faz o plano voltar a usar a versão geral do modo
+    async deactivate(id) {
+        const result = await database.run('UPDATE system_prompts SET is_active = 0 WHERE id = ?', [id]);
+        if (result.changes === 0) {
+            return null;
+        }
+
+        this.invalidate();
+        return this.get(id);
+    }
+
+    // Reativa a versão anterior à ativa do par modo/plano
+    async rollback(mode, plan = null) {
+        const active = await database.get(
+            'SELECT version FROM system_prompts WHERE mode = ? AND plan IS ? AND is_active = 1',
+            [mode, plan]
+        );
+        if (!active) {
+            return null;
+        }
+
+        const previous = await database.get(
+            `SELECT id FROM system_prompts
+             WHERE mode = ? AND plan IS ? AND version < ?
+             ORDER BY version DESC LIMIT 1`,
+            [mode, plan, active.version]
+        );
+        if (!previous) {
+            return null;
+        }
+
+        return this.activate(previous.id);
+    }
+}
+
+module.exports = new PromptService();
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG = path.join(__dirname, '..', 'config', 'providers.json');
+const SUPPORTED_TYPES = ['openai', 'anthropic'];
+const REQUIRED_FIELDS = ['id', 'type', 'baseUrl', 'model'];
+
+// Registro de provedores de IA carregado de config/providers.json (ou AI_PROVIDERS_FILE).
+// Qualquer servidor compatível com a API da OpenAI (llama.cpp, Ollama, vLLM...) usa type "openai".
+class ProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+        this.failoverChains = {};
+        this.load(process.env.AI_PROVIDERS_FILE || DEFAULT_CONFIG);
+    }
+
+    load(file) {
+        const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+        this.providers.clear();
+        for (const entry of config.providers || []) {
+            const missing = REQUIRED_FIELDS.filter(field => !entry[field]);
+            if (missing.length > 0 || !SUPPORTED_TYPES.includes(entry.type)) {
+                console.error(`Provedor de IA inválido em ${file}:`, entry.id || entry, missing);
+                continue;
+            }
+
+            this.providers.set(entry.id, this.normalize(entry));
+        }
+
+        this.failoverChains = config.failoverChains || {};
+        console.log(`Provedores de IA carregados: ${[...this.providers.keys()].join(', ')}`);
+    }
+
+    normalize(entry) {
+        return {
+            name: entry.id,
+            authHeader: 'Authorization',
+            authScheme: null,
+            headers: {},
+            maxTokens: 4000,
+            contextWindow: 8192,
+            timeout: 60000,
+            plans: null,
+            enabled: true,
+            ...entry,
+            baseUrl: (entry.baseUrlEnv && process.env[entry.baseUrlEnv]) || entry.baseUrl,
+            pricing: { input: 0, output: 0, ...entry.pricing },
+            capabilities: { streaming: true, tools: false, ...entry.capabilities }
+        };
+    }
+
+    get(id) {
+        return this.providers.get(id) || null;
+    }
+
+    list() {
+        return [...this.providers.values()];
+    }
+
+    // Habilitado e com chave de API configurada (quando exigida)
+    isAvailable(id) {
+        const config = this.get(id);
+        if (!config || !config.enabled) {
+            return false;
+        }
+        return !config.apiKeyEnv || Boolean(process.env[config.apiKeyEnv]);
+    }
+
+    isAllowedForPlan(id, plan) {
+        const config = this.get(id);
+        return Boolean(config) && (!config.plans || config.plans.includes(plan));
+    }
+
+    listForPlan(plan) {
+        return this.list().filter(config => this.isAvailable(config.id) && this.isAllowedForPlan(config.id, plan));
+    }
+
+    // Cadeia de failover do modo; provedores habilitados fora da cadeia entram no final
+    getFailoverChain(mode) {
+        const chain = this.failoverChains[mode] || this.failoverChains.consulta || [];
+        const others = this.list().map(config => config.id).filter(id => !chain.includes(id));
+        return [...chain, ...others];
+    }
+}
+
+module.exports = new ProviderRegistry();
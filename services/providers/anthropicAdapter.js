@@ -0,0 +1,131 @@
+const axios = require('axios');
+const { buildHeaders, readServerSentEvents, parseToolArguments } = require('./utils');
+
+// Adaptador para a API de mensagens da Anthropic (Claude)
+class AnthropicAdapter {
+    async call(config, context) {
+        const response = await axios.post(`${config.baseUrl}/messages`, {
+            model: config.model,
+            max_tokens: config.maxTokens,
+            system: context.system,
+            messages: this.toMessages(context),
+            ...this.toTools(context)
+        }, {
+            headers: buildHeaders(config),
+            timeout: config.timeout
+        });
+
+        const blocks = response.data.content;
+
+        return {
+            content: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+            toolCalls: blocks.filter(block => block.type === 'tool_use').map(block => ({
+                id: block.id,
+                name: block.name,
+                arguments: block.input || {}
+            })),
+            usage: {
+                inputTokens: response.data.usage.input_tokens,
+                outputTokens: response.data.usage.output_tokens
+            }
+        };
+    }
+
+    async *stream(config, context, signal) {
+        const response = await axios.post(`${config.baseUrl}/messages`, {
+            model: config.model,
+            max_tokens: config.maxTokens,
+            system: context.system,
+            messages: this.toMessages(context),
+            stream: true,
+            ...this.toTools(context)
+        }, {
+            headers: buildHeaders(config),
+            responseType: 'stream',
+            timeout: config.timeout,
+            signal
+        });
+
+        let inputTokens = 0;
+        let outputTokens = 0;
+        const toolBlocks = {};
+
+        for await (const event of readServerSentEvents(response.data)) {
+            const payload = JSON.parse(event.data);
+
+            if (payload.type === 'message_start') {
+                inputTokens = payload.message.usage?.input_tokens || 0;
+            } else if (payload.type === 'content_block_start' && payload.content_block.type === 'tool_use') {
+                toolBlocks[payload.index] = { id: payload.content_block.id, name: payload.content_block.name, arguments: '' };
+            } else if (payload.type === 'content_block_delta' && payload.delta.type === 'text_delta') {
+                yield { type: 'delta', content: payload.delta.text };
+            } else if (payload.type === 'content_block_delta' && payload.delta.type === 'input_json_delta') {
+                toolBlocks[payload.index].arguments += payload.delta.partial_json;
+            } else if (payload.type === 'message_delta') {
+                outputTokens = payload.usage?.output_tokens || outputTokens;
+            } else if (payload.type === 'error') {
+                throw new Error(payload.error?.message || 'Erro no stream do Claude');
+            }
+        }
+
+        const toolCalls = Object.values(toolBlocks);
+        if (toolCalls.length > 0) {
+            yield {
+                type: 'tool_calls',
+                toolCalls: toolCalls.map(call => ({
+                    id: call.id,
+                    name: call.name,
+                    arguments: parseToolArguments(call.arguments)
+                }))
+            };
+        }
+
+        yield { type: 'usage', usage: { inputTokens, outputTokens } };
+    }
+
+    // Formato interno -> Anthropic: tool_use nos blocos do assistente e
+    // tool_result agrupados numa única mensagem de usuário
+    toMessages(context) {
+        const messages = [];
+
+        for (const msg of context.messages) {
+            if (msg.role === 'tool') {
+                const result = { type: 'tool_result', tool_use_id: msg.toolCallId, content: msg.content };
+                const last = messages[messages.length - 1];
+
+                if (last && last.role === 'user' && Array.isArray(last.content)) {
+                    last.content.push(result);
+                } else {
+                    messages.push({ role: 'user', content: [result] });
+                }
+            } else if (msg.toolCalls) {
+                const blocks = msg.content ? [{ type: 'text', text: msg.content }] : [];
+                msg.toolCalls.forEach(call => {
+                    blocks.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments });
+                });
+                messages.push({ role: 'assistant', content: blocks });
+            } else {
+                messages.push({ role: msg.role, content: msg.content });
+            }
+        }
+
+        return messages;
+    }
+
+    toTools(context) {
+        if (!context.tools) {
+            return {};
+        }
+
+        return {
+            tools: context.tools.map(tool => ({
+                name: tool.name,
+                description: tool.description,
+                input_schema: tool.parameters
+            })),
+            tool_choice: { type: context.toolChoice || 'auto' }
+        };
+    }
+}
+
+module.exports = new AnthropicAdapter();
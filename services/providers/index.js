@@ -0,0 +1,8 @@
+const openaiAdapter = require('./openaiAdapter');
+const anthropicAdapter = require('./anthropicAdapter');
+
+// Adaptadores por protocolo ("type" em config/providers.json)
+module.exports = {
+    openai: openaiAdapter,
+    anthropic: anthropicAdapter
+};
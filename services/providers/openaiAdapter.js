@@ -0,0 +1,137 @@
+const axios = require('axios');
+const { buildHeaders, readServerSentEvents, parseToolArguments } = require('./utils');
+
+// Adaptador para APIs no formato chat/completions da OpenAI
+// (OpenAI, DeepSeek e servidores locais como llama.cpp e Ollama)
+class OpenAIAdapter {
+    async call(config, context) {
+        const response = await axios.post(`${config.baseUrl}/chat/completions`, {
+            model: config.model,
+            messages: this.toMessages(context),
+            max_tokens: config.maxTokens,
+            temperature: 0.7,
+            ...this.toTools(context)
+        }, {
+            headers: buildHeaders(config),
+            timeout: config.timeout
+        });
+
+        const choice = response.data.choices[0].message;
+        const usage = response.data.usage || {};
+
+        return {
+            content: choice.content || '',
+            toolCalls: (choice.tool_calls || []).map(call => ({
+                id: call.id,
+                name: call.function.name,
+                arguments: parseToolArguments(call.function.arguments)
+            })),
+            usage: {
+                inputTokens: usage.prompt_tokens || 0,
+                outputTokens: usage.completion_tokens || 0
+            }
+        };
+    }
+
+    async *stream(config, context, signal) {
+        const response = await axios.post(`${config.baseUrl}/chat/completions`, {
+            model: config.model,
+            messages: this.toMessages(context),
+            max_tokens: config.maxTokens,
+            temperature: 0.7,
+            stream: true,
+            stream_options: { include_usage: true },
+            ...this.toTools(context)
+        }, {
+            headers: buildHeaders(config),
+            responseType: 'stream',
+            timeout: config.timeout,
+            signal
+        });
+
+        // Chamadas de ferramenta chegam fragmentadas, indexadas por posição
+        const pendingCalls = [];
+
+        for await (const event of readServerSentEvents(response.data)) {
+            if (event.data === '[DONE]') {
+                break;
+            }
+
+            const payload = JSON.parse(event.data);
+            const delta = payload.choices?.[0]?.delta;
+
+            if (delta?.content) {
+                yield { type: 'delta', content: delta.content };
+            }
+
+            for (const fragment of delta?.tool_calls || []) {
+                const call = pendingCalls[fragment.index] || (pendingCalls[fragment.index] = { id: '', name: '', arguments: '' });
+                call.id = fragment.id || call.id;
+                call.name += fragment.function?.name || '';
+                call.arguments += fragment.function?.arguments || '';
+            }
+
+            if (payload.usage) {
+                yield {
+                    type: 'usage',
+                    usage: {
+                        inputTokens: payload.usage.prompt_tokens || 0,
+                        outputTokens: payload.usage.completion_tokens || 0
+                    }
+                };
+            }
+        }
+
+        if (pendingCalls.length > 0) {
+            yield {
+                type: 'tool_calls',
+                toolCalls: pendingCalls.filter(Boolean).map(call => ({
+                    id: call.id,
+                    name: call.name,
+                    arguments: parseToolArguments(call.arguments)
+                }))
+            };
+        }
+    }
+
+    // Formato interno -> OpenAI: system como primeira mensagem, tool_calls e role "tool"
+    toMessages(context) {
+        const messages = [{ role: 'system', content: context.system }];
+
+        for (const msg of context.messages) {
+            if (msg.role === 'tool') {
+                messages.push({ role: 'tool', tool_call_id: msg.toolCallId, content: msg.content });
+            } else if (msg.toolCalls) {
+                messages.push({
+                    role: 'assistant',
+                    content: msg.content || null,
+                    tool_calls: msg.toolCalls.map(call => ({
+                        id: call.id,
+                        type: 'function',
+                        function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+                    }))
+                });
+            } else {
+                messages.push({ role: msg.role, content: msg.content });
+            }
+        }
+
+        return messages;
+    }
+
+    toTools(context) {
+        if (!context.tools) {
+            return {};
+        }
+
+        return {
+            tools: context.tools.map(tool => ({
+                type: 'function',
+                function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+            })),
+            tool_choice: context.toolChoice || 'auto'
+        };
+    }
+}
+
+module.exports = new OpenAIAdapter();
@@ -0,0 +1,64 @@
+const { StringDecoder } = require('string_decoder');
+
+// Cabeçalhos de autenticação conforme a configuração do provedor
+function buildHeaders(config) {
+    const headers = {
+        'Content-Type': 'application/json',
+        ...config.headers
+    };
+
+    const apiKey = config.apiKeyEnv ? process.env[config.apiKeyEnv] : null;
+    if (apiKey) {
+        headers[config.authHeader] = config.authScheme ? `${config.authScheme} ${apiKey}` : apiKey;
+    }
+
+    return headers;
+}
+
+// Converte um stream HTTP em eventos Server-Sent Events ({ event, data })
+async function* readServerSentEvents(stream) {
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+
+    for await (const chunk of stream) {
+        buffer += decoder.write(chunk).replace(/\r/g, '');
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            const event = { event: 'message', data: '' };
+            for (const line of rawEvent.split('\n')) {
+                if (line.startsWith('event:')) {
+                    event.event = line.slice(6).trim();
+                } else if (line.startsWith('data:')) {
+                    event.data += (event.data ? '\n' : '') + line.slice(5).trim();
+                }
+            }
+
+            if (event.data) {
+                yield event;
+            }
+        }
+    }
+}
+
+function parseToolArguments(raw) {
+    if (!raw) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        console.error('Argumentos de ferramenta inválidos:', raw);
+        return {};
+    }
+}
+
+module.exports = {
+    buildHeaders,
+    readServerSentEvents,
+    parseToolArguments
+};
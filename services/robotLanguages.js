@@ -0,0 +1,44 @@
+const ntflValidator = require('./ntflValidator');
+const mql5Validator = require('./mql5Validator');
+
+// Linguagens-alvo do modo robot. promptMode é a chave do prompt de sistema (system_prompts)
+// usada quando a linguagem é escolhida; os validadores têm a mesma interface
+const LANGUAGES = {
+    ntfl: {
+        id: 'ntfl',
+        label: 'NTFL',
+        platform: 'Profit (Nelogica)',
+        fence: 'ntfl',
+        extension: 'ntsl',
+        promptMode: 'robot',
+        validate: ntflValidator.validateNtfl,
+        validateCodeBlocks: ntflValidator.validateCodeBlocks,
+        extractBlocks: ntflValidator.extractNtflBlocks,
+        repairPrompt: ntflValidator.repairPrompt
+    },
+    mql5: {
+        id: 'mql5',
+        label: 'MQL5',
+        platform: 'MetaTrader 5',
+        fence: 'mql5',
+        extension: 'mq5',
+        promptMode: 'robot_mql5',
+        validate: mql5Validator.validateMql5,
+        validateCodeBlocks: mql5Validator.validateCodeBlocks,
+        extractBlocks: mql5Validator.extractMql5Blocks,
+        repairPrompt: mql5Validator.repairPrompt
+    }
+};
+
+const DEFAULT_LANGUAGE = 'ntfl';
+
+function getLanguage(id) {
+    return LANGUAGES[id] || LANGUAGES[DEFAULT_LANGUAGE];
+}
+
+module.exports = {
+    LANGUAGES,
+    LANGUAGE_IDS: Object.keys(LANGUAGES),
+    DEFAULT_LANGUAGE,
+    getLanguage
+};
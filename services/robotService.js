@@ -0,0 +1,310 @@
+const database = require('../database/init');
+const mql5Validator = require('./mql5Validator');
+const { getLanguage } = require('./robotLanguages');
+
+// Biblioteca de estratégias (robôs) por usuário, com histórico de versões.
+// Os inputs de cada versão são extraídos do código (bloco "input" em NTFL, declarações
+// input em MQL5) e podem ser anotados com descrição e valor padrão, aplicado no arquivo exportado.
+class RobotService {
+    list(userId) {
+        return database.all(
+            `SELECT s.id, s.name, s.description, s.language, s.source_strategy_id, s.created_at, s.updated_at,
+                    MAX(v.version) as latest_version, COUNT(v.id) as versions
+             FROM robot_strategies s
+             LEFT JOIN robot_strategy_versions v ON v.strategy_id = s.id
+             WHERE s.user_id = ?
+             GROUP BY s.id
+             ORDER BY s.updated_at DESC`,
+            [userId]
+        );
+    }
+
+    getStrategy(id, userId) {
+        return database.get(
+            'SELECT * FROM robot_strategies WHERE id = ? AND user_id = ?',
+            [id, userId]
+        );
+    }
+
+    listVersions(strategyId) {
+        return database.all(
+            `SELECT id, version, notes, source_message_id, created_at
+             FROM robot_strategy_versions WHERE strategy_id = ? ORDER BY version DESC`,
+            [strategyId]
+        );
+    }
+
+    // version omitida = última versão. Inclui a linguagem da estratégia
+    async getVersion(strategyId, version = null) {
+        const row = await database.get(
+            `SELECT v.*, s.language FROM robot_strategy_versions v
+             JOIN robot_strategies s ON s.id = v.strategy_id
+             WHERE v.strategy_id = ? ${version ? 'AND v.version = ?' : ''}
+             ORDER BY v.version DESC LIMIT 1`,
+            version ? [strategyId, version] : [strategyId]
+        );
+
+        if (!row) {
+            return null;
+        }
+
+        return { ...row, inputs: JSON.parse(row.inputs || '[]') };
+    }
+
+    async create(userId, {
+        name, description = null, language = 'ntfl', code, inputs, notes = null,
+        sourceMessageId = null, sourceStrategyId = null
+    }) {
+        const result = await database.run(
+            `INSERT INTO robot_strategies (user_id, name, description, language, source_strategy_id)
+             VALUES (?, ?, ?, ?, ?)`,
+            [userId, name, description, language, sourceStrategyId]
+        );
+
+        await this.addVersion(result.id, { code, inputs, notes, sourceMessageId });
+        return this.getStrategy(result.id, userId);
+    }
+
+    async addVersion(strategyId, { code, inputs, notes = null, sourceMessageId = null }) {
+        const last = await database.get(
+            `SELECT MAX(v.version) as version, s.language FROM robot_strategies s
+             LEFT JOIN robot_strategy_versions v ON v.strategy_id = s.id
+             WHERE s.id = ?`,
+            [strategyId]
+        );
+
+        const result = await database.run(
+            `INSERT INTO robot_strategy_versions (strategy_id, version, code, inputs, notes, source_message_id)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [
+                strategyId, (last?.version || 0) + 1, code,
+                JSON.stringify(this.mergeInputs(this.parseInputs(code, last.language), inputs)),
+                notes, sourceMessageId
+            ]
+        );
+
+        await database.run(
+            'UPDATE robot_strategies SET updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [strategyId]
+        );
+
+        return database.get('SELECT id, version FROM robot_strategy_versions WHERE id = ?', [result.id]);
+    }
+
+    async updateInputs(versionId, inputs) {
+        const row = await database.get(
+            `SELECT v.code, s.language FROM robot_strategy_versions v
+             JOIN robot_strategies s ON s.id = v.strategy_id
+             WHERE v.id = ?`,
+            [versionId]
+        );
+        const merged = this.mergeInputs(this.parseInputs(row.code, row.language), inputs);
+
+        await database.run(
+            'UPDATE robot_strategy_versions SET inputs = ? WHERE id = ?',
+            [JSON.stringify(merged), versionId]
+        );
+        return merged;
+    }
+
+    async update(strategyId, { name, description }) {
+        const updates = [];
+        const values = [];
+
+        if (name !== undefined) {
+            updates.push('name = ?');
+            values.push(name);
+        }
+
+        if (description !== undefined) {
+            updates.push('description = ?');
+            values.push(description);
+        }
+
+        if (updates.length > 0) {
+            values.push(strategyId);
+            await database.run(
+                `UPDATE robot_strategies SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                values
+            );
+        }
+    }
+
+    async remove(strategyId) {
+        await database.run('DELETE FROM robot_strategy_versions WHERE strategy_id = ?', [strategyId]);
+        await database.run('DELETE FROM robot_strategies WHERE id = ?', [strategyId]);
+    }
+
+    // Bloco de código de uma resposta da IA do próprio usuário (índice base 1 entre os blocos da linguagem)
+    async getCodeFromMessage(messageId, userId, blockIndex = 1, language = 'ntfl') {
+        const message = await database.get(
+            `SELECT m.content FROM messages m
+             JOIN conversations c ON c.id = m.conversation_id
+             WHERE m.id = ? AND c.user_id = ? AND m.role = 'assistant'`,
+            [messageId, userId]
+        );
+        if (!message) {
+            return null;
+        }
+
+        const block = getLanguage(language).extractBlocks(message.content)[blockIndex - 1];
+        if (!block) {
+            return null;
+        }
+        return block.code.trim();
+    }
+
+    // Inputs declarados no código: [{ name, default, description }]
+    parseInputs(code, language = 'ntfl') {
+        if (language === 'mql5') {
+            return mql5Validator.parseInputs(code)
+                .map(input => ({ name: input.name, default: input.default, description: null }));
+        }
+
+        const section = /\binput\b([\s\S]*?)(?=\b(var|const|begin)\b)/i.exec(code);
+        if (!section) {
+            return [];
+        }
+
+        const inputs = [];
+        const pattern = /([A-Za-z_][A-Za-z0-9_]*)\s*\(\s*([^)]*?)\s*\)\s*;/g;
+        let match;
+
+        while ((match = pattern.exec(section[1])) !== null) {
+            const numeric = Number(match[2]);
+            inputs.push({
+                name: match[1],
+                default: match[2] !== '' && !Number.isNaN(numeric) ? numeric : match[2],
+                description: null
+            });
+        }
+
+        return inputs;
+    }
+
+    // Anotações do usuário (descrição/padrão) sobre os inputs detectados no código
+    mergeInputs(parsed, tags = []) {
+        return parsed.map(input => {
+            const tag = (tags || []).find(item => item.name && item.name.toLowerCase() === input.name.toLowerCase());
+            return tag
+                ? { ...input, default: tag.default ?? input.default, description: tag.description ?? input.description }
+                : input;
+        });
+    }
+
+    // Anotações de uma versão a herdar na próxima: o padrão só é mantido quando o usuário
+    // o alterou, para não sobrescrever um valor novo escrito no código
+    inheritedTags(version) {
+        const parsed = this.parseInputs(version.code, version.language);
+        return version.inputs.map(input => {
+            const original = parsed.find(item => item.name.toLowerCase() === input.name.toLowerCase());
+            return original && original.default === input.default
+                ? { name: input.name, description: input.description }
+                : input;
+        });
+    }
+
+    // Reescreve os valores dos inputs com os padrões anotados
+    applyInputDefaults(code, inputs, language = 'ntfl') {
+        if (language === 'mql5') {
+            return code.replace(
+                /^([ \t]*s?input\s+(?:const\s+)?[A-Za-z_]\w*\s+)([A-Za-z_]\w*)(\s*=\s*)([^;]*?)(\s*;)/gm,
+                (full, declaration, name, equals, value, close) => {
+                    const input = inputs.find(item => item.name === name);
+                    return input ? `${declaration}${name}${equals}${input.default}${close}` : full;
+                }
+            );
+        }
+
+        const section = /\binput\b([\s\S]*?)(?=\b(var|const|begin)\b)/i.exec(code);
+        if (!section) {
+            return code;
+        }
+
+        const body = section[1].replace(
+            /([A-Za-z_][A-Za-z0-9_]*)(\s*\(\s*)([^)]*?)(\s*\)\s*;)/g,
+            (full, name, open, value, close) => {
+                const input = inputs.find(item => item.name.toLowerCase() === name.toLowerCase());
+                return input ? `${name}${open}${input.default}${close}` : full;
+            }
+        );
+
+        const start = section.index + 'input'.length;
+        return code.slice(0, start) + body + code.slice(start + section[1].length);
+    }
+
+    // Estratégia + versão (padrão: a última), no formato usado como contexto do chat
+    async loadForContext(id, userId, version = null) {
+        const strategy = await this.getStrategy(id, userId);
+        const latest = strategy && await this.getVersion(strategy.id, version);
+        if (!latest) {
+            return null;
+        }
+
+        return {
+            id: strategy.id,
+            name: strategy.name,
+            language: strategy.language,
+            version: latest.version,
+            code: latest.code,
+            inputs: this.inheritedTags(latest)
+        };
+    }
+
+    // Versão gerada a partir de uma resposta do chat ({ strategy_id, version }), ou undefined
+    versionFromMessage(messageId) {
+        return database.get(
+            'SELECT strategy_id, version FROM robot_strategy_versions WHERE source_message_id = ?',
+            [messageId]
+        );
+    }
+
+    // Contexto para a IA modificar uma estratégia existente em vez de começar do zero
+    contextFor(strategy) {
+        const { fence } = getLanguage(strategy.language);
+        return `\n\nO usuário selecionou a estratégia "${strategy.name}" (versão ${strategy.version}) da biblioteca dele. `
+            + 'Modifique este código conforme o pedido, preservando o que não foi pedido para mudar, '
+            + `e devolva o código completo em um bloco \`\`\`${fence}:\n`
+            + `\`\`\`${fence}\n${strategy.code}\n\`\`\``;
+    }
+
+    // Pedido de tradução de uma versão para outra linguagem, mantendo os nomes dos inputs
+    // para que as anotações possam ser herdadas pela estratégia traduzida
+    translationPrompt(strategy, version, target) {
+        const from = getLanguage(strategy.language);
+        const to = getLanguage(target);
+
+        return `Traduza a estratégia "${strategy.name}" (versão ${version.version}) de ${from.label} (${from.platform}) `
+            + `para ${to.label} (${to.platform}). Preserve a lógica, as regras de entrada e saída e os parâmetros `
+            + 'de entrada com os mesmos nomes e valores padrão. Explique brevemente as diferenças de comportamento '
+            + `entre as plataformas e devolva o código completo em um bloco \`\`\`${to.fence}.\n\n`
+            + `\`\`\`${from.fence}\n${version.code}\n\`\`\``;
+    }
+
+    // Iteração com a IA sobre uma estratégia: o primeiro bloco da linguagem da estratégia vira nova versão
+    async saveVersionFromResponse(strategy, messageId, content) {
+        const [block] = getLanguage(strategy.language).extractBlocks(content);
+
+        if (!block || block.code.trim() === strategy.code.trim()) {
+            return null;
+        }
+
+        return this.addVersion(strategy.id, {
+            code: block.code.trim(),
+            inputs: strategy.inputs,
+            notes: 'Gerada pela IA',
+            sourceMessageId: messageId
+        });
+    }
+
+    fileName(name, version, language = 'ntfl') {
+        const slug = name
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^A-Za-z0-9]+/g, '_')
+            .replace(/^_|_$/g, '');
+        return `${slug || 'estrategia'}_v${version}.${getLanguage(language).extension}`;
+    }
+}
+
+module.exports = new RobotService();
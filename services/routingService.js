@@ -0,0 +1,158 @@
+const database = require('../database/init');
+const { detectSymbols, normalizeText } = require('./symbolDetector');
+
+// Seleção de provedor por regras configuráveis (tabela routing_rules).
+// As regras são avaliadas por prioridade crescente e a primeira cujas condições
+// batem decide o provedor. Condições vazias não restringem nada.
+class RoutingService {
+    constructor() {
+        this.rules = null;
+    }
+
+    async getRules() {
+        if (!this.rules) {
+            this.rules = await database.all(
+                'SELECT * FROM routing_rules WHERE enabled = 1 ORDER BY priority ASC, id ASC'
+            );
+        }
+        return this.rules;
+    }
+
+    // Chamado pela API de administração após qualquer alteração nas regras
+    invalidate() {
+        this.rules = null;
+    }
+
+    // Retorna { provider, ruleId, ruleName, variant }. seed (id da conversa) mantém
+    // a mesma conversa sempre no mesmo braço do teste A/B.
+    async selectProvider({ message, mode, plan = 'free', seed = null }) {
+        const input = {
+            message,
+            normalized: normalizeText(message),
+            mode,
+            plan,
+            symbols: detectSymbols(message)
+        };
+
+        for (const rule of await this.getRules()) {
+            if (this.matches(rule, input)) {
+                return this.resolveVariant(rule, seed);
+            }
+        }
+
+        return { provider: 'openai', ruleId: null, ruleName: null, variant: null };
+    }
+
+    matches(rule, input) {
+        if (rule.mode && rule.mode !== input.mode) {
+            return false;
+        }
+
+        if (rule.plan && !this.splitList(rule.plan).includes(input.plan)) {
+            return false;
+        }
+
+        if (rule.min_length && input.message.length < rule.min_length) {
+            return false;
+        }
+
+        if (rule.max_length && input.message.length > rule.max_length) {
+            return false;
+        }
+
+        if (rule.keywords) {
+            const keywords = this.splitList(rule.keywords).map(normalizeText);
+            if (!keywords.some(keyword => input.normalized.includes(keyword))) {
+                return false;
+            }
+        }
+
+        if (rule.symbols) {
+            const symbols = this.splitList(rule.symbols).map(symbol => symbol.toUpperCase());
+            const mentioned = symbols.includes('*')
+                ? input.symbols.length > 0
+                : input.symbols.some(symbol => symbols.includes(symbol));
+            if (!mentioned) {
+                return false;
+            }
+        }
+
+        if (rule.pattern) {
+            try {
+                if (!new RegExp(rule.pattern, 'i').test(input.message)) {
+                    return false;
+                }
+            } catch (error) {
+                console.error(`Regex inválida na regra de roteamento ${rule.id}:`, error.message);
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    resolveVariant(rule, seed) {
+        const route = { provider: rule.provider, ruleId: rule.id, ruleName: rule.name, variant: null };
+
+        if (!rule.ab_provider || !(rule.ab_percentage > 0)) {
+            return route;
+        }
+
+        const bucket = seed !== null && seed !== undefined
+            ? this.hashBucket(`${rule.id}:${seed}`)
+            : Math.floor(Math.random() * 100);
+
+        if (bucket < rule.ab_percentage) {
+            return { ...route, provider: rule.ab_provider, variant: 'B' };
+        }
+        return { ...route, variant: 'A' };
+    }
+
+    // Hash FNV-1a com mistura final para distribuir conversas em 100 baldes
+    hashBucket(value) {
+        let hash = 0x811c9dc5;
+        for (const char of String(value)) {
+            hash = Math.imul(hash ^ char.charCodeAt(0), 0x01000193);
+        }
+        hash ^= hash >>> 16;
+        hash = Math.imul(hash, 0x85ebca6b);
+        hash ^= hash >>> 13;
+        return (hash >>> 0) % 100;
+    }
+
+    splitList(value) {
+        return String(value)
+            .split(',')
+            .map(item => item.trim())
+            .filter(Boolean);
+    }
+
+    // Valida uma regra antes de gravar; retorna a lista de erros
+    validate(rule, knownProviders) {
+        const errors = [];
+
+        if (rule.provider && !knownProviders.includes(rule.provider)) {
+            errors.push(`Provedor desconhecido: ${rule.provider}`);
+        }
+
+        if (rule.ab_provider && !knownProviders.includes(rule.ab_provider)) {
+            errors.push(`Provedor desconhecido: ${rule.ab_provider}`);
+        }
+
+        if (rule.pattern) {
+            try {
+                new RegExp(rule.pattern, 'i');
+            } catch (error) {
+                errors.push(`Regex inválida: ${error.message}`);
+            }
+        }
+
+        if (rule.min_length && rule.max_length && rule.min_length > rule.max_length) {
+            errors.push('min_length deve ser menor ou igual a max_length');
+        }
+
+        return errors;
+    }
+}
+
+module.exports = new RoutingService();
@@ -0,0 +1,9 @@
+// Palavras sem valor de busca, já normalizadas (sem acentos, minúsculas).
+// Usadas pela busca full-text e pelo embedder local
+module.exports = new Set([
+    'a', 'o', 'as', 'os', 'um', 'uma', 'uns', 'umas', 'de', 'do', 'da', 'dos', 'das', 'no', 'na', 'nos', 'nas',
+    'em', 'por', 'para', 'pra', 'com', 'sem', 'sobre', 'entre', 'ate', 'e', 'ou', 'mas', 'que', 'se', 'como',
+    'qual', 'quais', 'quando', 'onde', 'porque', 'isso', 'isto', 'esse', 'essa', 'este', 'esta', 'meu', 'minha',
+    'seu', 'sua', 'ao', 'aos', 'mais', 'menos', 'muito', 'ja', 'nao', 'sim', 'eu', 'voce', 'me', 'ser', 'estar',
+    'sao', 'foi', 'tem', 'ter', 'hoje', 'amanha', 'agora', 'pode', 'poderia', 'fazer', 'faz', 'sera'
+]);
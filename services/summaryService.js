@@ -0,0 +1,119 @@
+const database = require('../database/init');
+const aiService = require('./aiService');
+const promptService = require('./promptService');
+const messageTreeService = require('./messageTreeService');
+
+// Mensagens fora do resumo que disparam uma atualização
+const SUMMARY_TRIGGER = 12;
+
+// Mensagens mais recentes que ficam fora do resumo e vão inteiras no contexto
+const KEEP_RECENT = 6;
+
+// Limite de cada mensagem no pedido de resumo (respostas longas, código)
+const MESSAGE_LIMIT = 2000;
+
+const MAX_SUMMARY_LENGTH = 4000;
+
+// Resumo incremental de conversas longas (conversations.summary). O resumo cobre as mensagens
+// do ramo ativo até summary_message_id; o histórico enviado à IA começa depois dele. A atualização
+// roda em segundo plano após cada resposta, quando há mais de SUMMARY_TRIGGER mensagens fora do resumo.
+// Em outro ramo (edição de uma pergunta anterior ao resumo) o resumo é refeito do início do ramo.
+// O usuário pode ver e editar o resumo; a próxima atualização parte do texto editado.
+class SummaryService {
+    constructor() {
+        // Conversas com resumo em andamento (uma atualização por vez em cada conversa)
+        this.running = new Set();
+    }
+
+    // Dispara a atualização sem esperar; falhas só são registradas (o resumo fica para a próxima)
+    schedule(conversationId, plan) {
+        if (this.running.has(conversationId)) {
+            return;
+        }
+
+        this.running.add(conversationId);
+        this.update(conversationId, plan)
+            .catch(error => console.error('Erro ao resumir conversa:', error))
+            .finally(() => this.running.delete(conversationId));
+    }
+
+    // Retorna a conversa com o novo resumo, ou null se não havia o que resumir
+    async update(conversationId, plan = 'free') {
+        const conversation = await database.get('SELECT * FROM conversations WHERE id = ?', [conversationId]);
+        if (!conversation) {
+            return null;
+        }
+
+        // Mensagens do ramo ativo ainda não cobertas pelo resumo, em ordem
+        const { history: pending, summary: previous } = await messageTreeService.history(conversation);
+        if (pending.length <= SUMMARY_TRIGGER) {
+            return null;
+        }
+
+        const messages = pending.slice(0, pending.length - KEEP_RECENT);
+        const prompt = await promptService.getActivePrompt('summary', plan);
+        const result = await aiService.complete({
+            system: prompt.content,
+            messages: [{ role: 'user', content: this.request(previous, messages) }]
+        }, { plan });
+
+        const summary = (result.content || '').trim().slice(0, MAX_SUMMARY_LENGTH);
+        if (!summary) {
+            return null;
+        }
+
+        // Só grava se o resumo não mudou durante a chamada (edição do usuário tem prioridade)
+        const saved = await database.run(
+            `UPDATE conversations SET summary = ?, summary_message_id = ?, summary_updated_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND summary IS ? AND summary_message_id IS ?`,
+            [summary, messages[messages.length - 1].id, conversationId, conversation.summary, conversation.summary_message_id]
+        );
+
+        return saved.changes > 0 ? this.get(conversationId) : null;
+    }
+
+    request(previous, messages) {
+        const transcript = messages.map(message => {
+            const author = message.role === 'user' ? 'Usuário' : 'Assistente';
+            const content = message.content.length > MESSAGE_LIMIT
+                ? `${message.content.slice(0, MESSAGE_LIMIT)}...`
+                : message.content;
+            return `${author}: ${content}`;
+        }).join('\n\n');
+
+        return `Resumo atual:\n${previous || '(ainda não há resumo)'}\n\nNovas mensagens:\n${transcript}\n\nEscreva o resumo atualizado.`;
+    }
+
+    async get(conversationId) {
+        const conversation = await database.get(
+            `SELECT id, summary, summary_message_id, summary_updated_at, active_message_id
+             FROM conversations WHERE id = ?`,
+            [conversationId]
+        );
+        const { history } = await messageTreeService.history(conversation);
+
+        return { ...conversation, pending_messages: history.length };
+    }
+
+    // Edição pelo usuário. Resumo vazio remove o resumo e o histórico volta a ser enviado inteiro
+    async edit(conversationId, summary) {
+        const text = (summary || '').trim();
+
+        if (!text) {
+            await database.run(
+                `UPDATE conversations SET summary = NULL, summary_message_id = NULL, summary_updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [conversationId]
+            );
+        } else {
+            await database.run(
+                'UPDATE conversations SET summary = ?, summary_updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [text, conversationId]
+            );
+        }
+
+        return this.get(conversationId);
+    }
+}
+
+module.exports = new SummaryService();
@@ -0,0 +1,86 @@
+// Detecção de ativos da B3 mencionados em texto livre
+
+// Apelidos usados pelos traders para os contratos futuros
+const FUTURES_ALIASES = {
+    'mini indice': 'WINFUT',
+    'mini ibovespa': 'WINFUT',
+    'miniindice': 'WINFUT',
+    'indice cheio': 'INDFUT',
+    'indice futuro': 'INDFUT',
+    'mini dolar': 'WDOFUT',
+    'minidolar': 'WDOFUT',
+    'dolar cheio': 'DOLFUT',
+    'dolar futuro': 'DOLFUT',
+    'bitcoin futuro': 'BITFUT',
+    'ibovespa': 'IBOV',
+    'ibov': 'IBOV'
+};
+
+// Raízes dos contratos: sozinhas são palavras comuns, então só contam ao lado de uma palavra
+// de contrato ("win fut", "win futuro", "mini win", "contratos de win", "2 lotes de wdo").
+// Não devem casar: "win rate", "win/loss", "win-win", "ind." (indústria), "dol" em abreviações
+const CONTRACT_ROOTS = {
+    win: 'WINFUT',
+    ind: 'INDFUT',
+    wdo: 'WDOFUT',
+    dol: 'DOLFUT'
+};
+
+const contractPattern = root => new RegExp(
+    `\\b(?:(?:contratos?|lotes?|mini) (?:de |do |no )?${root}|${root} ?fut(?:uro)?)\\b`
+);
+const CONTRACT_PATTERNS = Object.entries(CONTRACT_ROOTS).map(([root, symbol]) => [contractPattern(root), symbol]);
+
+// Futuros genéricos (WINFUT) ou com vencimento (WINZ25), e ações/units/FIIs (PETR4, TAEE11)
+const FUTURES_PATTERN = /\b(WIN|IND|WDO|DOL|BIT)(FUT|[FGHJKMNQUVXZ]\d{2})\b/g;
+const STOCK_PATTERN = /\b[A-Z]{4}(3|4|5|6|11)\b/g;
+
+function normalizeText(text) {
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
+// Retorna a lista de símbolos (sem repetição) na ordem em que aparecem
+function detectSymbols(text) {
+    if (!text) {
+        return [];
+    }
+
+    const found = [];
+    const add = symbol => {
+        if (!found.includes(symbol)) {
+            found.push(symbol);
+        }
+    };
+
+    const upper = text.toUpperCase();
+    for (const match of upper.matchAll(FUTURES_PATTERN)) {
+        add(match[2] === 'FUT' ? match[0] : `${match[1]}FUT`);
+    }
+    for (const match of text.matchAll(STOCK_PATTERN)) {
+        add(match[0]);
+    }
+
+    const normalized = normalizeText(text);
+    for (const [alias, symbol] of Object.entries(FUTURES_ALIASES)) {
+        if (new RegExp(`\\b${alias}\\b`).test(normalized)) {
+            add(symbol);
+        }
+    }
+    for (const [pattern, symbol] of CONTRACT_PATTERNS) {
+        if (pattern.test(normalized)) {
+            add(symbol);
+        }
+    }
+
+    return found;
+}
+
+module.exports = {
+    FUTURES_ALIASES,
+    CONTRACT_ROOTS,
+    normalizeText,
+    detectSymbols
+};
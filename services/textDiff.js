@@ -0,0 +1,57 @@
+// Diff por linhas (LCS) entre duas versões de código
+
+// Acima disso o custo O(n*m) da tabela LCS deixa de compensar
+const MAX_DIFF_LINES = 3000;
+
+// Retorna [{ type: 'equal' | 'added' | 'removed', line, oldLine, newLine }]
+function diffLines(oldText, newText) {
+    const a = oldText.split(/\r?\n/);
+    const b = newText.split(/\r?\n/);
+
+    if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) {
+        throw new Error(`Diff limitado a ${MAX_DIFF_LINES} linhas por versão`);
+    }
+
+    // lcs[i][j] = tamanho da maior subsequência comum entre a[i..] e b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            changes.push({ type: 'equal', line: a[i], oldLine: i + 1, newLine: j + 1 });
+            i++;
+            j++;
+        } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            changes.push({ type: 'removed', line: a[i], oldLine: i + 1, newLine: null });
+            i++;
+        } else {
+            changes.push({ type: 'added', line: b[j], oldLine: null, newLine: j + 1 });
+            j++;
+        }
+    }
+
+    return changes;
+}
+
+// Texto no formato unified diff (sem agrupamento em hunks)
+function formatUnified(changes, oldLabel, newLabel) {
+    const prefix = { equal: ' ', added: '+', removed: '-' };
+    return [
+        `--- ${oldLabel}`,
+        `+++ ${newLabel}`,
+        ...changes.map(change => `${prefix[change.type]}${change.line}`)
+    ].join('\n');
+}
+
+module.exports = {
+    diffLines,
+    formatUnified
+};
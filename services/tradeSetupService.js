@@ -0,0 +1,207 @@
+const database = require('../database/init');
+
+const SIDES = ['compra', 'venda'];
+const TIMEFRAMES = ['1m', '2m', '5m', '10m', '15m', '30m', '60m', 'diario'];
+const MAX_TARGETS = 3;
+
+// Tolerância (pontos) entre risk.points informado e |entry - stop|
+const RISK_POINTS_TOLERANCE = 1;
+
+// Valor em R$ de um ponto por contrato nos futuros da B3
+const FUTURES_POINT_VALUES = { WIN: 0.2, IND: 1, WDO: 10, DOL: 50, BIT: 0.1 };
+
+// Ações, units e FIIs: o ponto é R$ 1,00 por ação, em lotes de 100
+const STOCK_LOT = 100;
+
+const SCHEMA_DESCRIPTION = `{
+  "symbol": "string (ex: WINFUT, WDOFUT, PETR4)",
+  "side": "compra | venda",
+  "entry": número,
+  "stop": número,
+  "targets": [número, ...] (1 a ${MAX_TARGETS}, do mais próximo ao mais distante),
+  "risk": { "points": número, "brl": número (risco em R$ por contrato/lote) },
+  "timeframe": "${TIMEFRAMES.join(' | ')}",
+  "invalidation": "string (condição que invalida o setup)"
+}`;
+
+// Setup de trade estruturado do modo daytrade: o modelo escreve a análise em texto
+// e termina com um bloco ```json``` validado aqui. Setups válidos ficam em trade_setups
+// para avaliação posterior contra o que o mercado fez.
+class TradeSetupService {
+    instructions() {
+        return `\n\nAo final da resposta, inclua um bloco \`\`\`json com o setup operacional exatamente neste formato:
+${SCHEMA_DESCRIPTION}
+Se a pergunta não pedir uma operação, o bloco deve conter apenas null. Não escreva nada depois do bloco.`;
+    }
+
+    repairPrompt(errors) {
+        return `O bloco JSON do setup é inválido:\n- ${errors.join('\n- ')}\n\n`
+            + `Responda apenas com o bloco \`\`\`json corrigido, no formato:\n${SCHEMA_DESCRIPTION}`;
+    }
+
+    // Separa o texto do bloco JSON final. Retorna { prose, setup, errors }
+    extract(content) {
+        const blocks = [...(content || '').matchAll(/```json\s*([\s\S]*?)```/gi)];
+        if (blocks.length === 0) {
+            return { prose: content, setup: null, errors: ['Bloco ```json do setup não encontrado'] };
+        }
+
+        const last = blocks[blocks.length - 1];
+        const prose = (content.slice(0, last.index) + content.slice(last.index + last[0].length)).trim();
+
+        return { prose, ...this.parse(last[1]) };
+    }
+
+    // Resposta a um pedido de correção: bloco ```json``` ou o JSON puro
+    parseReply(content) {
+        const block = /```json\s*([\s\S]*?)```/i.exec(content);
+        return this.parse(block ? block[1] : content);
+    }
+
+    // Interpreta e valida o JSON de um setup. null significa "sem setup" e é válido
+    parse(raw) {
+        let setup;
+        try {
+            setup = JSON.parse(raw.replace(/```(json)?/gi, '').trim());
+        } catch (error) {
+            return { setup: null, errors: [`JSON inválido: ${error.message}`] };
+        }
+
+        if (setup === null) {
+            return { setup: null, errors: [] };
+        }
+
+        const errors = this.validate(setup);
+        return { setup: errors.length === 0 ? this.normalize(setup) : null, errors };
+    }
+
+    validate(setup) {
+        const errors = [];
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+        if (typeof setup !== 'object' || Array.isArray(setup)) {
+            return ['O setup deve ser um objeto'];
+        }
+
+        if (typeof setup.symbol !== 'string' || !/^[A-Za-z0-9]{4,8}$/.test(setup.symbol)) {
+            errors.push('symbol deve ser o código do ativo (ex: WINFUT)');
+        }
+
+        if (!SIDES.includes(setup.side)) {
+            errors.push(`side deve ser ${SIDES.join(' ou ')}`);
+        }
+
+        if (!isNumber(setup.entry) || setup.entry <= 0) {
+            errors.push('entry deve ser um número positivo');
+        }
+
+        if (!isNumber(setup.stop) || setup.stop <= 0) {
+            errors.push('stop deve ser um número positivo');
+        }
+
+        if (!Array.isArray(setup.targets) || setup.targets.length === 0 || setup.targets.length > MAX_TARGETS
+            || !setup.targets.every(isNumber)) {
+            errors.push(`targets deve ser uma lista de 1 a ${MAX_TARGETS} números`);
+        }
+
+        if (!setup.risk || !isNumber(setup.risk.points) || setup.risk.points <= 0
+            || !isNumber(setup.risk.brl) || setup.risk.brl <= 0) {
+            errors.push('risk deve conter points e brl positivos');
+        }
+
+        if (!TIMEFRAMES.includes(setup.timeframe)) {
+            errors.push(`timeframe deve ser um de: ${TIMEFRAMES.join(', ')}`);
+        }
+
+        if (typeof setup.invalidation !== 'string' || setup.invalidation.trim().length < 5) {
+            errors.push('invalidation deve descrever a condição que invalida o setup');
+        }
+
+        if (errors.length > 0) {
+            return errors;
+        }
+
+        // Coerência entre direção, stop e alvos
+        const long = setup.side === 'compra';
+        if (long ? setup.stop >= setup.entry : setup.stop <= setup.entry) {
+            errors.push(`Em ${setup.side} o stop deve ficar ${long ? 'abaixo' : 'acima'} da entrada`);
+        }
+
+        if (setup.targets.some(target => long ? target <= setup.entry : target >= setup.entry)) {
+            errors.push(`Em ${setup.side} os alvos devem ficar ${long ? 'acima' : 'abaixo'} da entrada`);
+        }
+
+        if (Math.abs(Math.abs(setup.entry - setup.stop) - setup.risk.points) > RISK_POINTS_TOLERANCE) {
+            errors.push('risk.points deve ser a distância entre entry e stop');
+        }
+
+        return errors;
+    }
+
+    // Valor em R$ de um ponto por contrato/lote, ou null para ativos sem valor conhecido (ex.: IBOV)
+    pointValue(symbol) {
+        const upper = (symbol || '').toUpperCase();
+        const future = /^(WIN|IND|WDO|DOL|BIT)(FUT|[FGHJKMNQUVXZ]\d{2})$/.exec(upper);
+        if (future) {
+            return FUTURES_POINT_VALUES[future[1]];
+        }
+
+        return /^[A-Z]{4}(3|4|5|6|11)$/.test(upper) ? STOCK_LOT : null;
+    }
+
+    // Risco em R$ por contrato/lote calculado pelo valor do ponto (não pelo risk.brl do modelo)
+    riskPerContract(setup) {
+        const pointValue = this.pointValue(setup.symbol);
+        return pointValue === null ? null : Math.round(setup.risk.points * pointValue * 100) / 100;
+    }
+
+    normalize(setup) {
+        return {
+            symbol: setup.symbol.toUpperCase(),
+            side: setup.side,
+            entry: setup.entry,
+            stop: setup.stop,
+            targets: setup.targets,
+            // O risco em R$ é recalculado pelo valor do ponto quando o ativo é conhecido
+            risk: { points: setup.risk.points, brl: this.riskPerContract(setup) ?? setup.risk.brl },
+            timeframe: setup.timeframe,
+            invalidation: setup.invalidation.trim()
+        };
+    }
+
+    save(messageId, userId, conversationId, setup) {
+        return database.run(
+            `INSERT INTO trade_setups (message_id, user_id, conversation_id, symbol, side, entry, stop, targets,
+                                       risk_points, risk_brl, timeframe, invalidation, attempts,
+                                       max_contracts, max_risk_brl)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                messageId, userId, conversationId, setup.symbol, setup.side, setup.entry, setup.stop,
+                JSON.stringify(setup.targets), setup.risk.points, setup.risk.brl, setup.timeframe,
+                setup.invalidation, setup.attempts || 1,
+                setup.sizing?.contracts ?? null, setup.sizing?.maxRiskBrl ?? null
+            ]
+        );
+    }
+
+    // Linha da tabela -> formato devolvido pela API
+    fromRow(row) {
+        return {
+            id: row.id,
+            symbol: row.symbol,
+            side: row.side,
+            entry: row.entry,
+            stop: row.stop,
+            targets: JSON.parse(row.targets),
+            risk: { points: row.risk_points, brl: row.risk_brl },
+            timeframe: row.timeframe,
+            invalidation: row.invalidation,
+            sizing: row.max_risk_brl !== null
+                ? { maxRiskBrl: row.max_risk_brl, contracts: row.max_contracts, exceedsLimit: row.max_contracts < 1 }
+                : null,
+            outcome: row.outcome
+        };
+    }
+}
+
+module.exports = new TradeSetupService();